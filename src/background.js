@@ -9,13 +9,125 @@
  * It manages connections and ensures proper cleanup when DevTools closes.
  */
 
+importScripts('debugger.js');
+
 (function() {
   'use strict';
 
-  // Store active connections by tabId
+  const Debugger = self.ComponentAuditorDebugger;
+
+  // Pseudo-classes forced on the selected node, each captured as a state variant
+  const FORCED_STATES = ['hover', 'focus', 'active', 'focus-visible'];
+
+  // Time allowed for CSS transitions to settle after forcing a state or media feature (ms)
+  const STATE_SETTLE_MS = 400;
+
+  // Media emulation variants, by name, as Emulation.setEmulatedMedia features
+  const MEDIA_VARIANTS = {
+    'dark': [{ name: 'prefers-color-scheme', value: 'dark' }],
+    'reduced-motion': [{ name: 'prefers-reduced-motion', value: 'reduce' }],
+    'forced-colors': [{ name: 'forced-colors', value: 'active' }],
+    'more-contrast': [{ name: 'prefers-contrast', value: 'more' }]
+  };
+
+  // Time allowed for media queries, layout and resize handlers after changing the viewport (ms)
+  const RESPONSIVE_SETTLE_MS = 600;
+
+  // Interaction recordings stop on their own after this long (ms) or this many frames
+  const RECORDING_MAX_MS = 15000;
+  const MAX_RECORDING_FRAMES = 300;
+
+  // Screencast frames are scaled down to fit this size (px), bounding the raw frames held until the recording stops
+  const SCREENCAST_OPTIONS = { format: 'jpeg', quality: 80, maxWidth: 1280, maxHeight: 1280, everyNthFrame: 1 };
+
+  // Widest breakpoint emulated as a mobile device
+  const MOBILE_MAX_WIDTH = 767;
+
+  // Remote object group released after each inspection
+  const OBJECT_GROUP = 'component-auditor';
+
+  // Token properties traced back to CSS custom properties, with the declarations
+  // (longhand first, then shorthands) that can set each of them
+  const TOKEN_DECLARATIONS = {
+    'color': ['color'],
+    'background-color': ['background-color', 'background'],
+    'border-color': ['border-color', 'border-top-color', 'border-top', 'border'],
+    'font-family': ['font-family', 'font'],
+    'font-size': ['font-size', 'font'],
+    'font-weight': ['font-weight', 'font'],
+    'line-height': ['line-height', 'font'],
+    'border-radius': ['border-radius', 'border-top-left-radius'],
+    'border-width': ['border-width', 'border-top-width', 'border-top', 'border'],
+    'box-shadow': ['box-shadow'],
+    'opacity': ['opacity']
+  };
+  ['top', 'right', 'bottom', 'left'].forEach(function(side) {
+    TOKEN_DECLARATIONS[`padding-${side}`] = [`padding-${side}`, 'padding'];
+    TOKEN_DECLARATIONS[`margin-${side}`] = [`margin-${side}`, 'margin'];
+  });
+
+  // Most accessibility nodes inspected in one component subtree
+  const MAX_AX_NODES = 200;
+
+  // Elements whose expando properties are listed when probing the page for libraries
+  const MAX_EXPANDO_ELEMENTS = 500;
+
+  // Most owner components listed above the captured component
+  const MAX_COMPONENT_OWNERS = 10;
+
+  // Roles that mark landmark regions
+  const LANDMARK_ROLES = ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'];
+
+  // Roles that need an accessible name, with the problem reported when it is missing
+  const NAMED_ROLES = {
+    button: 'button-without-name',
+    link: 'link-without-name',
+    menuitem: 'control-without-name',
+    tab: 'control-without-name',
+    switch: 'control-without-name',
+    image: 'image-without-alt',
+    img: 'image-without-alt',
+    heading: 'empty-heading',
+    textbox: 'unlabeled-form-field',
+    searchbox: 'unlabeled-form-field',
+    combobox: 'unlabeled-form-field',
+    listbox: 'unlabeled-form-field',
+    checkbox: 'unlabeled-form-field',
+    radio: 'unlabeled-form-field',
+    slider: 'unlabeled-form-field',
+    spinbutton: 'unlabeled-form-field'
+  };
+
+  // Token properties that inherit, so their declaration may live on an ancestor
+  const INHERITED_TOKEN_PROPERTIES = ['color', 'font-family', 'font-size', 'font-weight', 'line-height'];
+
+  // Debugger-driven extractors, run in order against the selected node.
+  // Each result is stored on the inspection under its key.
+  const INSPECTORS = [
+    { key: 'eventListeners', run: captureEventListeners },
+    { key: 'tokenVariables', run: captureTokenVariables },
+    { key: 'matchedRules', run: captureMatchedRules },
+    { key: 'accessibility', run: captureAccessibility },
+    { key: 'componentIdentity', run: captureComponentIdentity },
+    { key: 'states', run: captureStates },
+    { key: 'mediaVariants', run: captureMediaVariants },
+    { key: 'responsive', run: captureResponsive }
+  ];
+
+  // Interaction recordings in progress, by tabId
+  const recordings = new Map();
+
+  // Store active connections by tabId (content scripts by tabId and frameId)
   const panelConnections = new Map();
   const contentConnections = new Map();
 
+  /**
+   * Build the content connection key for a frame ("tabId:frameId")
+   */
+  function contentKey(tabId, frameId) {
+    return `${tabId}:${frameId || 0}`;
+  }
+
   /**
    * Handle incoming connections from DevTools panel or content scripts
    */
@@ -48,17 +160,20 @@
     // Handle Content Script Connections
     else if (port.name.startsWith('content-script')) {
       let tabId = null;
+      const frameId = (port.sender && port.sender.frameId) || 0;
       if (port.sender && port.sender.tab) {
         tabId = port.sender.tab.id;
-        console.log(`Background: Registered content script for tab ${tabId}`);
-        contentConnections.set(tabId, port);
+        console.log(`Background: Registered content script for tab ${tabId} (frame ${frameId})`);
+        contentConnections.set(contentKey(tabId, frameId), port);
       }
       
       // Setup cleanup
       port.onDisconnect.addListener(function() {
         if (tabId) {
-          console.log(`Background: Content script disconnected for tab ${tabId}`);
-          contentConnections.delete(tabId);
+          console.log(`Background: Content script disconnected for tab ${tabId} (frame ${frameId})`);
+          if (contentConnections.get(contentKey(tabId, frameId)) === port) {
+            contentConnections.delete(contentKey(tabId, frameId));
+          }
         } else {
           console.log('Background: Content script disconnected (unknown tabId)');
         }
@@ -87,7 +202,9 @@
           break;
         
         case 'ELEMENT_SELECTED':
-          // Forward element selection to DevTools panel
+        case 'ELEMENTS_SELECTED':
+        case 'SIMILAR_FOUND':
+          // Forward element selection (single, batch or similar matches) to DevTools panel
           // Try to find the target tabId from the message, or the port
           let targetTabId = message.tabId;
           
@@ -95,17 +212,20 @@
             targetTabId = port.sender.tab.id;
           }
 
+          // Remember which frame holds the selection for follow-up requests
+          message.frameId = (port.sender && port.sender.frameId) || 0;
+
           if (targetTabId) {
-            console.log(`Background: Forwarding ELEMENT_SELECTED to panel for tab ${targetTabId}`);
+            console.log(`Background: Forwarding ${message.type} to panel for tab ${targetTabId}`);
             forwardToDevToolsPanel(targetTabId, message);
           } else {
-            console.error('Background: Could not determine tabId for ELEMENT_SELECTED');
+            console.error(`Background: Could not determine tabId for ${message.type}`);
           }
           break;
         
         case 'START_SELECTION':
           if (message.tabId) {
-            forwardToContentScript(message.tabId, { type: 'START_SELECTION' });
+            forwardToContentScript(message.tabId, { type: 'START_SELECTION', options: message.options });
           }
           break;
         
@@ -115,9 +235,38 @@
           }
           break;
         
+        case 'FIND_SIMILAR':
+          // Only the frame holding the captured element can search its document
+          if (message.tabId) {
+            forwardToContentScript(message.tabId, {
+              type: 'FIND_SIMILAR',
+              captureId: message.captureId,
+              options: message.options
+            }, message.frameId || 0);
+          }
+          break;
+        
         case 'CAPTURE_SCREENSHOT':
           if (message.tabId) {
-            captureScreenshot(message.tabId, port);
+            captureScreenshot(message.tabId, port, message.rect);
+          }
+          break;
+        
+        case 'INSPECT_ELEMENT':
+          if (message.tabId) {
+            inspectElement(message.tabId, port, message);
+          }
+          break;
+
+        case 'START_RECORDING':
+          if (message.tabId) {
+            startRecording(message.tabId, port, message);
+          }
+          break;
+
+        case 'STOP_RECORDING':
+          if (message.tabId) {
+            stopRecording(message.tabId);
           }
           break;
         
@@ -133,17 +282,312 @@
   chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
     console.log('Background: Message received via onMessage', message.type);
     
-    // Handle ELEMENT_SELECTED messages from content scripts
-    if (message.type === 'ELEMENT_SELECTED' && sender.tab) {
+    // Handle ELEMENT_SELECTED / ELEMENTS_SELECTED / SIMILAR_FOUND messages from content scripts
+    const forwarded = ['ELEMENT_SELECTED', 'ELEMENTS_SELECTED', 'SIMILAR_FOUND'];
+    if (forwarded.includes(message.type) && sender.tab) {
       const tabId = sender.tab.id;
-      console.log(`Background: Forwarding ELEMENT_SELECTED (via onMessage) to panel for tab ${tabId}`);
+      message.frameId = sender.frameId || 0;
+      console.log(`Background: Forwarding ${message.type} (via onMessage) to panel for tab ${tabId}`);
       forwardToDevToolsPanel(tabId, message);
       return true;
     }
+
+    // Library detection needs page globals, which the content script's isolated world cannot see
+    if (message.type === 'PROBE_PAGE_STATE' && sender.tab) {
+      probePageState(sender.tab.id, sender.frameId || 0, message.paths || [])
+        .then(function(pageState) {
+          sendResponse(pageState);
+        })
+        .catch(function(error) {
+          console.warn('Background: Page state probe failed', error.message);
+          sendResponse({ globals: {}, expandos: [], error: error.message });
+        });
+      return true; // Respond asynchronously
+    }
     
     return false;
   });
 
+  /**
+   * Read page globals and DOM expando property names in the frame's main world
+   * @param {number} tabId - Tab containing the frame
+   * @param {number} frameId - Frame to probe
+   * @param {Array<string>} paths - Dotted global paths to resolve
+   * @returns {Promise<Object>} - Promise that resolves to {globals: {path: value}, expandos: [names]}
+   */
+  function probePageState(tabId, frameId, paths) {
+    return chrome.scripting.executeScript({
+      target: { tabId: tabId, frameIds: [frameId] },
+      world: 'MAIN',
+      args: [paths, MAX_EXPANDO_ELEMENTS],
+      // Runs in the page: must be self-contained and return only serializable values
+      func: function(globalPaths, elementLimit) {
+        const globals = {};
+        globalPaths.forEach(function(path) {
+          try {
+            let value = window;
+            path.split('.').forEach(function(key) {
+              if (value instanceof Map || value instanceof Set) value = value.values().next().value;
+              value = value === undefined || value === null ? undefined : value[key];
+            });
+            if (value instanceof Map || value instanceof Set) value = value.values().next().value;
+            if (value === undefined || value === null) return;
+            globals[path] = ['string', 'number', 'boolean'].includes(typeof value) ? value : true;
+          } catch (error) {
+            // Getters on exotic globals may throw; treat them as absent
+          }
+        });
+
+        const expandos = new Set();
+        const elements = document.getElementsByTagName('*');
+        for (let i = 0; i < Math.min(elements.length, elementLimit); i++) {
+          Object.keys(elements[i]).forEach(function(key) { expandos.add(key); });
+        }
+
+        return { globals: globals, expandos: Array.from(expandos).slice(0, 200) };
+      }
+    }).then(function(results) {
+      return (results && results[0] && results[0].result) || { globals: {}, expandos: [] };
+    });
+  }
+
+  /**
+   * Encode a blob as a base64 data URI
+   * @param {Blob} blob - Binary content
+   * @returns {Promise<string>} - Promise that resolves to the data URI
+   */
+  function blobToDataUri(blob) {
+    return blob.arrayBuffer().then(function(buffer) {
+      // Encode in chunks so large images don't overflow the argument list
+      const bytes = new Uint8Array(buffer);
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+    });
+  }
+
+  /**
+   * Start recording an interaction: screencast the tab while the user interacts
+   * with the selected element (stopped by the panel, the time limit or the frame cap)
+   * @param {number} tabId - The inspected tab
+   * @param {Port} port - Panel port to reply on
+   * @param {Object} target - Message carrying the element's captureId and frameId
+   */
+  function startRecording(tabId, port, target) {
+    if (recordings.has(tabId)) {
+      postToPanel(port, { type: 'RECORDING_ERROR', tabId: tabId, error: 'A recording is already in progress' });
+      return;
+    }
+
+    const recording = { port: port, target: target, frames: [], start: null, timer: null, started: false, cancelled: false };
+    recordings.set(tabId, recording);
+    let attached = false;
+
+    // The panel may go away at any step; the chain then releases what it acquired
+    const throwIfCancelled = function() {
+      if (recording.cancelled) throw new Error('Recording canceled');
+    };
+
+    Debugger.attach(tabId)
+      .then(function() {
+        attached = true;
+        throwIfCancelled();
+        return measureElement(tabId, Object.assign({}, target, { motion: true }));
+      })
+      .then(function(measurement) {
+        throwIfCancelled();
+        recording.start = measurement;
+        return Debugger.sendCommand(tabId, 'Page.startScreencast', SCREENCAST_OPTIONS);
+      })
+      .then(function() {
+        recording.started = true;
+        if (recording.cancelled) {
+          releaseRecording(tabId);
+          return;
+        }
+        recording.timer = setTimeout(function() { stopRecording(tabId); }, RECORDING_MAX_MS);
+        console.log(`Background: Recording interaction in tab ${tabId}`);
+        postToPanel(port, { type: 'RECORDING_STARTED', tabId: tabId, captureId: target.captureId, maxDuration: RECORDING_MAX_MS });
+      })
+      .catch(function(error) {
+        if (recordings.get(tabId) === recording) recordings.delete(tabId);
+        if (attached) Debugger.detach(tabId);
+        if (recording.cancelled) return;
+        console.error('Background: Could not start recording', error);
+        postToPanel(port, { type: 'RECORDING_ERROR', tabId: tabId, error: error.message });
+      });
+  }
+
+  /**
+   * Stop a recording and send the frames, cropped to the element, to the panel
+   * @param {number} tabId - The inspected tab
+   */
+  function stopRecording(tabId) {
+    const recording = recordings.get(tabId);
+    if (!recording || !recording.started) return;
+
+    recordings.delete(tabId);
+    clearTimeout(recording.timer);
+
+    const target = recording.target;
+    let end = null;
+    let rect = null;
+
+    Debugger.sendCommand(tabId, 'Page.stopScreencast')
+      .then(function() {
+        // The element may grow or move while it animates (e.g. an accordion opening)
+        return measureElement(tabId, Object.assign({}, target, { motion: true })).catch(function() {
+          return null;
+        });
+      })
+      .then(function(measurement) {
+        end = measurement;
+        rect = unionRect(recording.start.rect, end && end.rect);
+        return cropRecordingFrames(recording.frames, rect);
+      })
+      .then(function(frames) {
+        const motion = recording.start.motion || [];
+        const seen = new Set(motion.map(function(entry) { return JSON.stringify(entry); }));
+        ((end && end.motion) || []).forEach(function(entry) {
+          if (!seen.has(JSON.stringify(entry))) motion.push(entry);
+        });
+
+        postToPanel(recording.port, {
+          type: 'RECORDING_COMPLETE',
+          tabId: tabId,
+          captureId: target.captureId,
+          recording: {
+            rect: rect,
+            duration: frames.length ? frames[frames.length - 1].time : 0,
+            frames: frames,
+            motion: motion
+          }
+        });
+      })
+      .catch(function(error) {
+        console.error('Background: Recording failed', error);
+        postToPanel(recording.port, { type: 'RECORDING_ERROR', tabId: tabId, captureId: target.captureId, error: error.message });
+      })
+      .finally(function() {
+        recording.frames = [];
+        return Debugger.detach(tabId);
+      });
+  }
+
+  /**
+   * Discard a recording without encoding its frames (the panel went away)
+   * @param {number} tabId - The inspected tab
+   */
+  function cancelRecording(tabId) {
+    const recording = recordings.get(tabId);
+    if (!recording) return;
+
+    recordings.delete(tabId);
+    recording.cancelled = true;
+    recording.frames = [];
+    clearTimeout(recording.timer);
+
+    // A recording still starting is released by startRecording once it sees the flag
+    if (recording.started) {
+      releaseRecording(tabId);
+    }
+  }
+
+  /**
+   * Stop the screencast and release the recording's debugger attachment
+   */
+  function releaseRecording(tabId) {
+    return Debugger.sendCommand(tabId, 'Page.stopScreencast')
+      .catch(function() {})
+      .finally(function() {
+        return Debugger.detach(tabId);
+      });
+  }
+
+  /**
+   * Post to a panel port that may have disconnected meanwhile
+   */
+  function postToPanel(port, message) {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      console.warn(`Background: Panel disconnected before ${message.type} could be sent`);
+    }
+  }
+
+  /**
+   * Smallest rect containing both rects (the second may be missing)
+   */
+  function unionRect(a, b) {
+    if (!b || !b.width || !b.height) return a;
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+      x: x,
+      y: y,
+      width: Math.max(a.x + a.width, b.x + b.width) - x,
+      height: Math.max(a.y + a.height, b.y + b.height) - y
+    };
+  }
+
+  /**
+   * Crop screencast frames to a page rect and re-encode them as WebP
+   * @param {Array<Object>} frames - Screencast frames ({data, metadata})
+   * @param {Object} rect - Top-level page rect (document coordinates)
+   * @returns {Promise<Array<Object>>} - Promise that resolves to [{time (ms from the first frame), dataUrl}]
+   */
+  function cropRecordingFrames(frames, rect) {
+    const cropped = [];
+    const firstTimestamp = frames.length ? frames[0].metadata.timestamp : 0;
+
+    // One frame at a time keeps only a single decoded bitmap in memory
+    return frames.reduce(function(chain, frame) {
+      return chain.then(function() {
+        return fetch(`data:image/jpeg;base64,${frame.data}`)
+          .then(function(response) { return response.blob(); })
+          .then(createImageBitmap)
+          .then(function(bitmap) {
+            const metadata = frame.metadata;
+            const scale = (bitmap.width / metadata.deviceWidth) * (metadata.pageScaleFactor || 1);
+            const x = Math.max(0, Math.round((rect.x - metadata.scrollOffsetX) * scale));
+            const y = Math.max(0, Math.round((rect.y - metadata.scrollOffsetY) * scale + (metadata.offsetTop || 0) * (bitmap.width / metadata.deviceWidth)));
+            const width = Math.min(bitmap.width - x, Math.round(rect.width * scale));
+            const height = Math.min(bitmap.height - y, Math.round(rect.height * scale));
+            if (width <= 0 || height <= 0) {
+              bitmap.close();
+              return;
+            }
+
+            const canvas = new OffscreenCanvas(width, height);
+            canvas.getContext('2d').drawImage(bitmap, x, y, width, height, 0, 0, width, height);
+            bitmap.close();
+            return canvas.convertToBlob({ type: 'image/webp', quality: 0.8 })
+              .then(blobToDataUri)
+              .then(function(dataUrl) {
+                cropped.push({ time: Math.round((metadata.timestamp - firstTimestamp) * 1000), dataUrl: dataUrl });
+              });
+          });
+      });
+    }, Promise.resolve()).then(function() {
+      return cropped;
+    });
+  }
+
+  // Collect screencast frames for active recordings (each frame must be acknowledged)
+  chrome.debugger.onEvent.addListener(function(source, method, params) {
+    if (method !== 'Page.screencastFrame' || !recordings.has(source.tabId)) return;
+
+    const recording = recordings.get(source.tabId);
+    recording.frames.push({ data: params.data, metadata: params.metadata });
+    Debugger.sendCommand(source.tabId, 'Page.screencastFrameAck', { sessionId: params.sessionId }).catch(function() {});
+
+    if (recording.frames.length >= MAX_RECORDING_FRAMES) {
+      stopRecording(source.tabId);
+    }
+  });
+
   /**
    * Handle panel shown event
    */
@@ -173,6 +617,7 @@
    */
   function handlePanelDisconnected(tabId) {
     if (tabId) {
+      cancelRecording(tabId);
       forwardToContentScript(tabId, {
         type: 'DEVTOOLS_DISCONNECTED',
         tabId: tabId
@@ -194,22 +639,35 @@
 
   /**
    * Forward message to content script for a specific tab
+   *
+   * Without a frameId the message is broadcast to every frame of the tab.
    */
-  function forwardToContentScript(tabId, message) {
-    // Try to use port first
-    const port = contentConnections.get(tabId);
-    if (port) {
+  function forwardToContentScript(tabId, message, frameId) {
+    // Try to use ports first
+    const keys = frameId === undefined
+      ? Array.from(contentConnections.keys()).filter(function(key) { return key.startsWith(`${tabId}:`); })
+      : [contentKey(tabId, frameId)];
+
+    let delivered = false;
+    keys.forEach(function(key) {
+      const port = contentConnections.get(key);
+      if (!port) return;
       try {
         port.postMessage(message);
-        return;
+        delivered = true;
       } catch (e) {
         console.warn('Background: Failed to send via port, falling back to tabs.sendMessage', e);
-        contentConnections.delete(tabId);
+        contentConnections.delete(key);
       }
+    });
+
+    if (delivered) {
+      return;
     }
     
     // Fallback to tabs.sendMessage
-    chrome.tabs.sendMessage(tabId, message).catch(err => {
+    const options = frameId === undefined ? {} : { frameId: frameId };
+    chrome.tabs.sendMessage(tabId, message, options).catch(err => {
       // Ignore errors about closed connection/tab
       console.log(`Background: Message delivery failed for tab ${tabId}`, err.message);
     });
@@ -217,10 +675,69 @@
 
   /**
    * Capture screenshot of a tab
+   *
+   * When the element rect is known, the element is captured in full through
+   * the debugger (including any part outside the viewport). Otherwise, or if
+   * the debugger is unavailable, the visible viewport is captured instead.
    */
-  function captureScreenshot(tabId, port) {
+  function captureScreenshot(tabId, port, rect) {
     console.log(`Background: Capturing screenshot for tab ${tabId}`);
-    
+
+    if (!rect || !rect.width || !rect.height) {
+      captureVisibleTab(tabId, port);
+      return;
+    }
+
+    captureElementScreenshot(tabId, rect)
+      .then(function(dataUrl) {
+        port.postMessage({
+          type: 'SCREENSHOT_CAPTURED',
+          dataUrl: dataUrl,
+          tabId: tabId,
+          cropped: true
+        });
+      })
+      .catch(function(error) {
+        console.warn('Background: Full element capture failed, falling back to visible tab', error);
+        captureVisibleTab(tabId, port);
+      });
+  }
+
+  /**
+   * Capture the element's bounding box at native resolution via Page.captureScreenshot
+   * @param {number} tabId - The inspected tab
+   * @param {Object} rect - Document-relative rect (x, y, width, height) in CSS pixels
+   * @returns {Promise<string>} - Promise that resolves to a PNG data URL
+   */
+  function captureElementScreenshot(tabId, rect) {
+    return Debugger.withDebugger(tabId, function() {
+      return clipScreenshot(tabId, rect);
+    });
+  }
+
+  /**
+   * Issue Page.captureScreenshot for a rect (the debugger must already be attached)
+   */
+  function clipScreenshot(tabId, rect) {
+    return Debugger.sendCommand(tabId, 'Page.captureScreenshot', {
+      format: 'png',
+      captureBeyondViewport: true,
+      clip: {
+        x: rect.x,
+        y: rect.y,
+        width: rect.width,
+        height: rect.height,
+        scale: 1
+      }
+    }).then(function(result) {
+      return `data:image/png;base64,${result.data}`;
+    });
+  }
+
+  /**
+   * Capture the visible viewport of a tab (panel crops it to the element)
+   */
+  function captureVisibleTab(tabId, port) {
     chrome.tabs.get(tabId, function(tab) {
       if (chrome.runtime.lastError) {
         console.error('Background: Error getting tab', chrome.runtime.lastError);
@@ -250,6 +767,968 @@
     });
   }
 
+  /**
+   * Inspect the selected element through the debugger and report the results to the panel
+   * @param {number} tabId - The inspected tab
+   * @param {Port} port - Panel port to reply on
+   * @param {Object} target - Message carrying the element's selector
+   */
+  function inspectElement(tabId, port, target) {
+    console.log(`Background: Inspecting element for tab ${tabId}`, target.selector);
+    let session = tabId;
+
+    Debugger.withDebugger(tabId, function() {
+      return Debugger.sendCommand(tabId, 'DOM.enable')
+        .then(function() {
+          return Debugger.sendCommand(tabId, 'CSS.enable');
+        })
+        .then(function() {
+          return Debugger.querySelector(tabId, target.selector);
+        })
+        .then(function(node) {
+          session = node.session;
+          // Out-of-process frames have their own CSS agent (and stylesheet headers)
+          const ready = session.sessionId ? Debugger.sendCommand(session, 'CSS.enable') : Promise.resolve();
+          return ready.then(function() {
+            return runInspectors(session, node.nodeId, target);
+          });
+        })
+        .finally(function() {
+          // The frame may have navigated or detached; the results are still valid
+          return Debugger.sendCommand(session, 'Runtime.releaseObjectGroup', { objectGroup: OBJECT_GROUP })
+            .catch(function() {});
+        });
+    })
+      .then(function(inspection) {
+        port.postMessage({
+          type: 'ELEMENT_INSPECTED',
+          tabId: tabId,
+          inspection: inspection
+        });
+      })
+      .catch(function(error) {
+        console.error('Background: Element inspection failed', error);
+        port.postMessage({
+          type: 'INSPECTION_ERROR',
+          tabId: tabId,
+          error: error.message
+        });
+      });
+  }
+
+  /**
+   * Run each inspector in turn; one failing inspector does not abort the others
+   * @param {Object} session - Debugger session owning the node ({ tabId, sessionId } for out-of-process frames)
+   * @param {number} nodeId - The selected node
+   * @param {Object} target - The INSPECT_ELEMENT request
+   * @returns {Promise<Object>} - Promise that resolves to the inspection (plus any per-inspector errors)
+   */
+  function runInspectors(session, nodeId, target) {
+    const inspection = { errors: {} };
+
+    return INSPECTORS.reduce(function(chain, inspector) {
+      return chain.then(function() {
+        return inspector.run(session, nodeId, target)
+          .then(function(result) {
+            inspection[inspector.key] = result;
+          })
+          .catch(function(error) {
+            console.warn(`Background: Inspector "${inspector.key}" failed`, error);
+            inspection.errors[inspector.key] = error.message;
+          });
+      });
+    }, Promise.resolve()).then(function() {
+      return inspection;
+    });
+  }
+
+  /**
+   * List event listeners on the node and on every ancestor up to the window
+   *
+   * Listeners found on ancestors (including document and window) are marked as
+   * delegated, since they receive the node's events through capture or bubbling.
+   * @returns {Promise<Array<Object>>} - Promise that resolves to listener descriptors
+   */
+  function captureEventListeners(session, nodeId) {
+    const listeners = [];
+
+    function collect(object, level) {
+      return Debugger.sendCommand(session, 'DOMDebugger.getEventListeners', { objectId: object.objectId })
+        .then(function(result) {
+          (result.listeners || []).forEach(function(listener) {
+            listeners.push({
+              type: listener.type,
+              useCapture: !!listener.useCapture,
+              passive: !!listener.passive,
+              once: !!listener.once,
+              delegated: level > 0,
+              source: object.description || '',
+              level: level
+            });
+          });
+
+          // A shadow root has no parentNode, so the walk continues through its host
+          return Debugger.sendCommand(session, 'Runtime.callFunctionOn', {
+            objectId: object.objectId,
+            functionDeclaration: 'function() { return this.parentNode || this.host || this.defaultView || null; }',
+            objectGroup: OBJECT_GROUP
+          });
+        })
+        .then(function(result) {
+          const parent = result.result;
+          if (!parent || !parent.objectId) {
+            return listeners;
+          }
+          return collect(parent, level + 1);
+        });
+    }
+
+    return Debugger.sendCommand(session, 'DOM.resolveNode', { nodeId: nodeId, objectGroup: OBJECT_GROUP })
+      .then(function(result) {
+        return collect(result.object, 0);
+      });
+  }
+
+  /**
+   * Trace each token property to the CSS custom properties that produced it
+   *
+   * The winning declaration is found in the node's matched rules (or, for
+   * inherited properties, in the nearest ancestor's). When it uses var(), the
+   * variable names, fallback chains and the variable that actually resolved are
+   * recorded.
+   * @returns {Promise<Object>} - Promise that resolves to a map of token property to variable usage
+   */
+  function captureTokenVariables(session, nodeId) {
+    return Promise.all([
+      Debugger.sendCommand(session, 'CSS.getMatchedStylesForNode', { nodeId: nodeId }),
+      Debugger.sendCommand(session, 'CSS.getComputedStyleForNode', { nodeId: nodeId })
+    ]).then(function(results) {
+      const matched = results[0];
+      const computed = {};
+      (results[1].computedStyle || []).forEach(function(property) {
+        computed[property.name] = property.value;
+      });
+
+      const ownStyles = getCascadeStyles(matched);
+      const inheritedStyles = (matched.inherited || []).map(getCascadeStyles);
+      const variables = {};
+
+      Object.keys(TOKEN_DECLARATIONS).forEach(function(property) {
+        const names = TOKEN_DECLARATIONS[property];
+        let declaration = findWinningDeclaration(ownStyles, names);
+        let inherited = false;
+
+        if (!declaration && INHERITED_TOKEN_PROPERTIES.includes(property)) {
+          for (const styles of inheritedStyles) {
+            declaration = findWinningDeclaration(styles, names);
+            if (declaration) {
+              inherited = true;
+              break;
+            }
+          }
+        }
+
+        if (!declaration || !declaration.value.includes('var(')) {
+          return;
+        }
+
+        const references = parseVariableReferences(declaration.value).map(function(reference) {
+          const chain = [reference.name].concat(reference.fallbacks);
+          return {
+            name: reference.name,
+            fallbacks: reference.fallbacks,
+            // First variable in the chain that is defined on the node
+            resolvedFrom: chain.find(function(name) {
+              return name.startsWith('--') && computed[name] && computed[name].trim() !== '';
+            }) || null
+          };
+        });
+
+        variables[property] = {
+          declaration: `${declaration.name}: ${declaration.value}`,
+          source: declaration.source,
+          inherited: inherited,
+          variables: references
+        };
+      });
+
+      return variables;
+    });
+  }
+
+  /**
+   * List the author rules that style the node, in cascade order (lowest precedence first)
+   *
+   * Each rule records its selectors and specificity, authored declarations,
+   * source stylesheet URL and line, and the media queries, layers, supports
+   * and container conditions it is nested in. User-agent rules are skipped;
+   * rules for pseudo-elements (::before, ::after, ...) are included and tagged.
+   * @returns {Promise<Object>} - Promise that resolves to {inline, rules}
+   */
+  function captureMatchedRules(session, nodeId) {
+    return Debugger.sendCommand(session, 'CSS.getMatchedStylesForNode', { nodeId: nodeId }).then(function(matched) {
+      const rules = [];
+      const collect = function(matches, pseudoElement) {
+        (matches || []).forEach(function(match) {
+          if (match.rule.origin === 'user-agent') return;
+          rules.push(describeRule(session, match, pseudoElement));
+        });
+      };
+
+      collect(matched.matchedCSSRules, null);
+      (matched.pseudoElements || []).forEach(function(pseudo) {
+        collect(pseudo.matches, `::${pseudo.pseudoType}`);
+      });
+
+      return {
+        inline: matched.inlineStyle && matched.inlineStyle.cssText ? matched.inlineStyle.cssText.trim() : null,
+        rules: rules
+      };
+    });
+  }
+
+  /**
+   * Describe one matched rule with its provenance
+   * @param {Object} session - Debugger session owning the node
+   * @param {Object} match - CSS.RuleMatch
+   * @param {string|null} pseudoElement - Pseudo-element the rule applies to, if any
+   * @returns {Object} - Rule descriptor
+   */
+  function describeRule(session, match, pseudoElement) {
+    const rule = match.rule;
+    const selectors = rule.selectorList.selectors || [];
+    const matchedSelectors = (match.matchingSelectors || []).map(function(index) {
+      const selector = selectors[index] || {};
+      const specificity = selector.specificity;
+      return {
+        text: selector.text,
+        specificity: specificity ? [specificity.a, specificity.b, specificity.c] : null
+      };
+    });
+
+    // The highest-specificity matching selector decides the rule's weight
+    const specificity = matchedSelectors.reduce(function(highest, selector) {
+      if (!selector.specificity) return highest;
+      if (!highest) return selector.specificity;
+      for (let i = 0; i < 3; i++) {
+        if (selector.specificity[i] !== highest[i]) {
+          return selector.specificity[i] > highest[i] ? selector.specificity : highest;
+        }
+      }
+      return highest;
+    }, null);
+
+    const header = rule.styleSheetId ? Debugger.getStyleSheetHeader(session, rule.styleSheetId) : null;
+    const range = selectors[0] && selectors[0].range;
+
+    return {
+      selector: rule.selectorList.text,
+      matchedSelectors: matchedSelectors,
+      specificity: specificity,
+      pseudoElement: pseudoElement,
+      origin: rule.origin,
+      cssText: rule.style.cssText ? rule.style.cssText.trim() : '',
+      // Only declarations with a source range were authored (the rest are expanded longhands)
+      declarations: (rule.style.cssProperties || [])
+        .filter(function(property) { return property.range && !property.disabled; })
+        .map(function(property) {
+          return { name: property.name, value: property.value, important: !!property.important };
+        }),
+      styleSheet: header ? {
+        url: header.sourceURL || null,
+        inline: !!header.isInline,
+        // 1-based line in the document (inline sheets) or stylesheet file
+        line: range ? header.startLine + range.startLine + 1 : null
+      } : null,
+      media: (rule.media || []).map(function(media) { return media.text; }),
+      layers: (rule.layers || []).map(function(layer) { return layer.text; }),
+      supports: (rule.supports || []).map(function(supports) { return supports.text; }),
+      containerQueries: (rule.containerQueries || []).map(function(query) { return query.text; })
+    };
+  }
+
+  /**
+   * Flatten matched styles into cascade order (lowest precedence first)
+   * @param {Object} matched - CSS.getMatchedStylesForNode result, or one of its inherited entries
+   * @returns {Array<Object>} - Styles with their source label
+   */
+  function getCascadeStyles(matched) {
+    const styles = [];
+    // Presentational hints (<font color>, width=...) lose to every author rule
+    if (matched.attributesStyle) {
+      styles.push({ style: matched.attributesStyle, source: 'attributes' });
+    }
+    (matched.matchedCSSRules || []).forEach(function(match) {
+      styles.push({
+        style: match.rule.style,
+        source: match.rule.selectorList ? match.rule.selectorList.text : ''
+      });
+    });
+    if (matched.inlineStyle) {
+      styles.push({ style: matched.inlineStyle, source: 'inline' });
+    }
+    return styles;
+  }
+
+  /**
+   * Find the declaration that wins the cascade for any of the given property names
+   * @param {Array<Object>} styles - Styles in cascade order
+   * @param {Array<string>} names - Longhand and shorthand names that set the property
+   * @returns {Object|null} - Winning declaration ({name, value, source}) or null
+   */
+  function findWinningDeclaration(styles, names) {
+    let winner = null;
+    styles.forEach(function(entry) {
+      (entry.style.cssProperties || []).forEach(function(property) {
+        if (!names.includes(property.name) || property.disabled || property.parsedOk === false || !property.value) {
+          return;
+        }
+        // A later declaration wins unless an earlier one is !important and it is not
+        if (winner && winner.important && !property.important) {
+          return;
+        }
+        winner = {
+          name: property.name,
+          value: property.value.replace(/\s*!important\s*$/, ''),
+          important: !!property.important,
+          source: entry.source
+        };
+      });
+    });
+    return winner;
+  }
+
+  /**
+   * Parse the top-level var() references in a declaration value
+   *
+   * Nested var() fallbacks are flattened into the chain, so
+   * "var(--a, var(--b, #fff))" becomes { name: '--a', fallbacks: ['--b', '#fff'] }.
+   * @param {string} value - Declaration value
+   * @returns {Array<Object>} - References with name and fallback chain
+   */
+  function parseVariableReferences(value) {
+    const references = [];
+    let index = value.indexOf('var(');
+
+    while (index !== -1) {
+      // Find the matching closing parenthesis
+      let depth = 0;
+      let end = index + 3;
+      for (; end < value.length; end++) {
+        if (value[end] === '(') depth++;
+        if (value[end] === ')' && --depth === 0) break;
+      }
+
+      const inner = value.slice(index + 4, end);
+      const comma = inner.indexOf(',');
+      const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+      const fallback = comma === -1 ? '' : inner.slice(comma + 1).trim();
+      let fallbacks = fallback ? [fallback] : [];
+
+      const nested = parseVariableReferences(fallback);
+      if (nested.length === 1 && fallback.startsWith('var(') && fallback.endsWith(')')) {
+        fallbacks = [nested[0].name].concat(nested[0].fallbacks);
+      }
+
+      references.push({ name: name, fallbacks: fallbacks });
+      index = value.indexOf('var(', end);
+    }
+
+    return references;
+  }
+
+  /**
+   * Snapshot the accessibility tree for the node and its subtree
+   *
+   * Role, accessible name, description and focusability come from
+   * Accessibility.getPartialAXTree; tab order positions are computed in the
+   * page; landmark membership comes from the node's accessibility ancestors.
+   * Common problems (unnamed controls, images without alt text, focusable
+   * hidden content, non-focusable interactive roles) are flagged.
+   * @returns {Promise<Object>} - Promise that resolves to the accessibility snapshot
+   */
+  function captureAccessibility(session, nodeId) {
+    let backendNodeId = null;
+    let landmarks = [];
+
+    return Debugger.sendCommand(session, 'Accessibility.enable')
+      .then(function() {
+        return Debugger.sendCommand(session, 'DOM.describeNode', { nodeId: nodeId });
+      })
+      .then(function(result) {
+        backendNodeId = result.node.backendNodeId;
+        return Debugger.sendCommand(session, 'Accessibility.getPartialAXTree', { nodeId: nodeId, fetchRelatives: true });
+      })
+      .then(function(result) {
+        landmarks = findLandmarks(result.nodes || [], backendNodeId);
+        return Promise.all([
+          Debugger.sendCommand(session, 'DOM.querySelectorAll', { nodeId: nodeId, selector: '*' }),
+          describeSubtreeFocus(session, nodeId)
+        ]);
+      })
+      .then(function(results) {
+        const nodeIds = [nodeId].concat(results[0].nodeIds || []).slice(0, MAX_AX_NODES);
+        const domInfo = results[1];
+
+        return Promise.all(nodeIds.map(function(id) {
+          return Debugger.sendCommand(session, 'Accessibility.getPartialAXTree', { nodeId: id, fetchRelatives: false })
+            .then(function(result) { return (result.nodes || [])[0] || null; })
+            .catch(function() { return null; });
+        })).then(function(axNodes) {
+          const nodes = [];
+          axNodes.forEach(function(axNode, index) {
+            if (!axNode) return;
+            const node = describeAXNode(axNode, domInfo[index] || {});
+            // The root is always kept; ignored descendants only matter if they can take focus
+            if (index > 0 && node.hidden && !node.tabOrder) return;
+            nodes.push(node);
+          });
+
+          const root = nodes[0] || {};
+          return {
+            role: root.role || null,
+            name: root.name || '',
+            description: root.description || '',
+            focusable: !!root.focusable,
+            tabOrder: root.tabOrder || null,
+            landmarks: landmarks,
+            nodes: nodes,
+            problems: findAccessibilityProblems(nodes),
+            truncated: (results[0].nodeIds || []).length + 1 > MAX_AX_NODES
+          };
+        });
+      });
+  }
+
+  /**
+   * Compute, in the page, each subtree element's path and sequential focus position
+   *
+   * Elements are listed in document order (the root first), matching
+   * DOM.querySelectorAll(nodeId, '*').
+   * @returns {Promise<Array<Object>>} - Promise that resolves to [{path, tagName, tabOrder}]
+   */
+  function describeSubtreeFocus(session, nodeId) {
+    const functionDeclaration = `function(limit) {
+      const focusable = 'a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable=""], [contenteditable="true"], audio[controls], video[controls]';
+      const candidates = Array.from(this.ownerDocument.querySelectorAll(focusable)).filter(function(el) {
+        return el.tabIndex >= 0 && !el.disabled && !el.closest('[inert]') &&
+          el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+      });
+      const order = candidates.filter(function(el) { return el.tabIndex > 0; })
+        .sort(function(a, b) { return a.tabIndex - b.tabIndex; })
+        .concat(candidates.filter(function(el) { return el.tabIndex === 0; }));
+      const positions = new Map(order.map(function(el, index) { return [el, index + 1]; }));
+
+      const root = this;
+      function pathOf(el) {
+        const parts = [];
+        for (let current = el; current !== root; current = current.parentElement) {
+          const sameTag = Array.from(current.parentElement.children).filter(function(child) {
+            return child.tagName === current.tagName;
+          });
+          parts.unshift(current.tagName.toLowerCase() + ':nth-of-type(' + (sameTag.indexOf(current) + 1) + ')');
+        }
+        return [':scope'].concat(parts).join(' > ');
+      }
+
+      return [this].concat(Array.from(this.querySelectorAll('*'))).slice(0, limit).map(function(el) {
+        return { path: pathOf(el), tagName: el.tagName.toLowerCase(), tabOrder: positions.get(el) || null };
+      });
+    }`;
+
+    return Debugger.sendCommand(session, 'DOM.resolveNode', { nodeId: nodeId, objectGroup: OBJECT_GROUP })
+      .then(function(result) {
+        return Debugger.sendCommand(session, 'Runtime.callFunctionOn', {
+          objectId: result.object.objectId,
+          functionDeclaration: functionDeclaration,
+          arguments: [{ value: MAX_AX_NODES }],
+          returnByValue: true,
+          objectGroup: OBJECT_GROUP
+        });
+      })
+      .then(function(result) {
+        return (result.result && result.result.value) || [];
+      });
+  }
+
+  /**
+   * Flatten an accessibility node into the fields stored on the capture
+   * @param {Object} axNode - Accessibility.AXNode
+   * @param {Object} domInfo - Path, tag name and tab order of the matching element
+   * @returns {Object} - Node descriptor
+   */
+  function describeAXNode(axNode, domInfo) {
+    const properties = {};
+    (axNode.properties || []).forEach(function(property) {
+      properties[property.name] = property.value ? property.value.value : undefined;
+    });
+
+    return {
+      path: domInfo.path || ':scope',
+      tagName: domInfo.tagName || '',
+      role: axNode.role ? axNode.role.value : null,
+      name: axNode.name ? axNode.name.value || '' : '',
+      description: axNode.description ? axNode.description.value || '' : '',
+      focusable: !!properties.focusable,
+      disabled: !!properties.disabled,
+      hidden: !!axNode.ignored || !!properties.hidden,
+      tabOrder: domInfo.tabOrder || null
+    };
+  }
+
+  /**
+   * List the landmark regions containing the node (nearest first), including the node itself
+   * @param {Array<Object>} axNodes - Nodes returned with fetchRelatives
+   * @param {number} backendNodeId - Backend id of the inspected node
+   * @returns {Array<Object>} - Landmarks as {role, name}
+   */
+  function findLandmarks(axNodes, backendNodeId) {
+    const byId = new Map(axNodes.map(function(node) { return [node.nodeId, node]; }));
+    const landmarks = [];
+    let current = axNodes.find(function(node) { return node.backendDOMNodeId === backendNodeId; });
+
+    while (current) {
+      const role = current.role ? current.role.value : null;
+      if (LANDMARK_ROLES.includes(role)) {
+        landmarks.push({ role: role, name: current.name ? current.name.value || '' : '' });
+      }
+      current = current.parentId ? byId.get(current.parentId) : null;
+    }
+    return landmarks;
+  }
+
+  /**
+   * Flag common accessibility problems in a subtree snapshot
+   * @param {Array<Object>} nodes - Node descriptors
+   * @returns {Array<Object>} - Problems as {type, path, role, message}
+   */
+  function findAccessibilityProblems(nodes) {
+    const problems = [];
+    const interactive = ['button', 'link', 'menuitem', 'tab', 'switch', 'checkbox', 'radio'];
+
+    nodes.forEach(function(node) {
+      const report = function(type, message) {
+        problems.push({ type: type, path: node.path, role: node.role, message: message });
+      };
+
+      if (node.hidden) {
+        if (node.tabOrder) report('focusable-hidden', `Focusable <${node.tagName}> is hidden from assistive technology`);
+        return;
+      }
+      if (NAMED_ROLES[node.role] && !node.name.trim()) {
+        report(NAMED_ROLES[node.role], `${node.role} <${node.tagName}> has no accessible name`);
+      }
+      if (interactive.includes(node.role) && !node.focusable && !node.disabled) {
+        report('not-focusable', `${node.role} <${node.tagName}> cannot receive keyboard focus`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Identify the framework component that owns the node (React, Vue or Angular)
+   *
+   * Framework internals are expando properties only visible in the page's own
+   * JavaScript world, so the lookup runs there rather than in the content script.
+   * @returns {Promise<Object|null>} - Promise that resolves to
+   *   {framework, name, ownerChain, props, source} or null if no component owns the node
+   */
+  function captureComponentIdentity(session, nodeId) {
+    const functionDeclaration = `function(maxOwners) {
+      function serialize(value, depth) {
+        if (value === null || value === undefined) return value === null ? null : undefined;
+        const type = typeof value;
+        if (type === 'string') return value.length > 200 ? value.slice(0, 200) + '…' : value;
+        if (type === 'number' || type === 'boolean') return value;
+        if (type === 'function') return '[Function' + (value.name ? ' ' + value.name : '') + ']';
+        if (type !== 'object') return '[' + type + ']';
+        if (value.$$typeof) return '[ReactElement]';
+        if (value.nodeType) return '[Node ' + (value.nodeName || '').toLowerCase() + ']';
+        if (depth >= 2) return Array.isArray(value) ? '[Array(' + value.length + ')]' : '[Object]';
+        if (Array.isArray(value)) {
+          return value.slice(0, 10).map(function(item) { return serialize(item, depth + 1); });
+        }
+        const result = {};
+        Object.keys(value).slice(0, 20).forEach(function(key) {
+          try {
+            const serialized = serialize(value[key], depth + 1);
+            if (serialized !== undefined) result[key] = serialized;
+          } catch (error) {
+            result[key] = '[Unreadable]';
+          }
+        });
+        return result;
+      }
+
+      function reactName(type) {
+        if (!type) return null;
+        if (typeof type === 'string') return null;
+        return type.displayName || type.name ||
+          (type.render && (type.render.displayName || type.render.name)) ||
+          (type.type && reactName(type.type)) || null;
+      }
+
+      function fromReact(el) {
+        for (let current = el; current; current = current.parentElement) {
+          const key = Object.keys(current).find(function(name) {
+            return name.startsWith('__reactFiber$') || name.startsWith('__reactInternalInstance$');
+          });
+          if (!key) continue;
+
+          let fiber = current[key];
+          while (fiber && !reactName(fiber.type)) fiber = fiber.return;
+          if (!fiber) return null;
+
+          const ownerChain = [];
+          let owner = fiber._debugOwner || fiber.return;
+          while (owner && ownerChain.length < maxOwners) {
+            const name = reactName(owner.type);
+            if (name) ownerChain.push(name);
+            owner = owner._debugOwner || owner.return;
+          }
+          const props = Object.assign({}, fiber.memoizedProps);
+          delete props.children;
+          return {
+            framework: 'React',
+            name: reactName(fiber.type),
+            ownerChain: ownerChain,
+            props: serialize(props, 0),
+            source: fiber._debugSource ? { file: fiber._debugSource.fileName, line: fiber._debugSource.lineNumber } : null
+          };
+        }
+        return null;
+      }
+
+      function vue3Name(instance) {
+        const type = instance.type || {};
+        return type.name || type.__name ||
+          (type.__file ? type.__file.split('/').pop().replace(/\\.vue$/, '') : null);
+      }
+
+      function fromVue(el) {
+        for (let current = el; current; current = current.parentElement) {
+          const instance = current.__vueParentComponent;
+          if (instance) {
+            const ownerChain = [];
+            for (let owner = instance.parent; owner && ownerChain.length < maxOwners; owner = owner.parent) {
+              const name = vue3Name(owner);
+              if (name) ownerChain.push(name);
+            }
+            return {
+              framework: 'Vue',
+              name: vue3Name(instance),
+              ownerChain: ownerChain,
+              props: serialize(Object.assign({}, instance.props), 0),
+              source: instance.type && instance.type.__file ? { file: instance.type.__file, line: null } : null
+            };
+          }
+
+          const vm = current.__vue__;
+          if (vm) {
+            const vue2Name = function(component) {
+              return component.$options.name || component.$options._componentTag || null;
+            };
+            const ownerChain = [];
+            for (let owner = vm.$parent; owner && ownerChain.length < maxOwners; owner = owner.$parent) {
+              const name = vue2Name(owner);
+              if (name) ownerChain.push(name);
+            }
+            return {
+              framework: 'Vue',
+              name: vue2Name(vm),
+              ownerChain: ownerChain,
+              props: serialize(Object.assign({}, vm.$props), 0),
+              source: vm.$options.__file ? { file: vm.$options.__file, line: null } : null
+            };
+          }
+        }
+        return null;
+      }
+
+      function fromAngular(el) {
+        const ng = window.ng;
+        if (!ng || typeof ng.getComponent !== 'function') return null;
+
+        const hasOwningComponent = typeof ng.getOwningComponent === 'function';
+        const hasHostElement = typeof ng.getHostElement === 'function';
+        const component = ng.getComponent(el) || (hasOwningComponent && ng.getOwningComponent(el));
+        if (!component) return null;
+
+        const ownerChain = [];
+        let host = hasHostElement ? ng.getHostElement(component) : null;
+        while (host && host.parentElement && ownerChain.length < maxOwners) {
+          const owner = (hasOwningComponent && ng.getOwningComponent(host.parentElement)) || ng.getComponent(host.parentElement);
+          if (!owner || owner === component) break;
+          ownerChain.push(owner.constructor.name);
+          host = ng.getHostElement(owner);
+        }
+
+        const metadata = typeof ng.getDirectiveMetadata === 'function' ? ng.getDirectiveMetadata(component) : null;
+        const props = {};
+        Object.keys((metadata && metadata.inputs) || {}).forEach(function(input) {
+          const property = metadata.inputs[input];
+          props[input] = component[typeof property === 'string' ? property : input];
+        });
+        return {
+          framework: 'Angular',
+          name: component.constructor.name,
+          ownerChain: ownerChain,
+          props: serialize(props, 0),
+          source: null
+        };
+      }
+
+      return fromReact(this) || fromVue(this) || fromAngular(this);
+    }`;
+
+    return Debugger.sendCommand(session, 'DOM.resolveNode', { nodeId: nodeId, objectGroup: OBJECT_GROUP })
+      .then(function(result) {
+        return Debugger.sendCommand(session, 'Runtime.callFunctionOn', {
+          objectId: result.object.objectId,
+          functionDeclaration: functionDeclaration,
+          arguments: [{ value: MAX_COMPONENT_OWNERS }],
+          returnByValue: true,
+          objectGroup: OBJECT_GROUP
+        });
+      })
+      .then(function(result) {
+        if (result.exceptionDetails) {
+          throw new Error(result.exceptionDetails.exception
+            ? result.exceptionDetails.exception.description
+            : result.exceptionDetails.text);
+        }
+        return (result.result && result.result.value) || null;
+      });
+  }
+
+  /**
+   * Force each pseudo-class on the node in turn and capture tokens and a screenshot
+   *
+   * Runs only when the capture asks for states, since each one waits for
+   * transitions and takes its own screenshot.
+   * @returns {Promise<Object|null>} - Promise that resolves to a map of state name to capture
+   */
+  function captureStates(session, nodeId, target) {
+    if (!target.states) return Promise.resolve(null);
+
+    const states = {};
+
+    return FORCED_STATES.reduce(function(chain, state) {
+      return chain.then(function() {
+        return captureForcedState(session, nodeId, state, target).then(function(capture) {
+          states[state] = capture;
+        });
+      });
+    }, Promise.resolve()).then(function() {
+      return states;
+    });
+  }
+
+  /**
+   * Capture one forced pseudo-state, always releasing the forced state afterwards
+   */
+  function captureForcedState(session, nodeId, state, target) {
+    return Debugger.sendCommand(session, 'CSS.forcePseudoState', {
+      nodeId: nodeId,
+      forcedPseudoClasses: [state]
+    })
+      .then(function() {
+        return delay(STATE_SETTLE_MS);
+      })
+      .then(function() {
+        return measureElement(session.tabId, target);
+      })
+      .then(function(measurement) {
+        return clipScreenshot(session.tabId, measurement.rect).then(function(dataUrl) {
+          return {
+            tokens: measurement.tokens,
+            rect: measurement.rect,
+            screenshot_base64: dataUrl
+          };
+        });
+      })
+      .finally(function() {
+        return Debugger.sendCommand(session, 'CSS.forcePseudoState', {
+          nodeId: nodeId,
+          forcedPseudoClasses: []
+        });
+      });
+  }
+
+  /**
+   * Capture the element under each requested media emulation variant
+   *
+   * Runs only when the capture asks for variants. Emulated media features are
+   * always cleared afterwards.
+   * @returns {Promise<Object|null>} - Promise that resolves to a map of variant name to
+   *   {features, rect, tokens, screenshot_base64} (hidden: true when the element is not rendered)
+   */
+  function captureMediaVariants(session, nodeId, target) {
+    const names = (target.mediaVariants || []).filter(function(name) {
+      return MEDIA_VARIANTS[name];
+    });
+    if (!names.length) return Promise.resolve(null);
+
+    const variants = {};
+
+    return names.reduce(function(chain, name) {
+      return chain.then(function() {
+        return captureMediaVariant(session, MEDIA_VARIANTS[name], target)
+          .catch(function(error) {
+            console.warn(`Background: Media variant "${name}" failed`, error);
+            return { features: MEDIA_VARIANTS[name], error: error.message };
+          })
+          .then(function(capture) {
+            variants[name] = capture;
+          });
+      });
+    }, Promise.resolve())
+      .finally(function() {
+        return emulateMedia(session, []);
+      })
+      .then(function() {
+        return variants;
+      });
+  }
+
+  /**
+   * Emulate one set of media features and capture the element's rect, tokens and screenshot
+   */
+  function captureMediaVariant(session, features, target) {
+    return emulateMedia(session, features)
+      .then(function() {
+        return delay(STATE_SETTLE_MS);
+      })
+      .then(function() {
+        return measureElement(session.tabId, target);
+      })
+      .then(function(measurement) {
+        const capture = { features: features, rect: measurement.rect, tokens: measurement.tokens };
+        if (!measurement.rect.width || !measurement.rect.height) {
+          capture.hidden = true;
+          return capture;
+        }
+        return clipScreenshot(session.tabId, measurement.rect).then(function(dataUrl) {
+          capture.screenshot_base64 = dataUrl;
+          return capture;
+        });
+      });
+  }
+
+  /**
+   * Emulate media features in the page and, for an out-of-process frame, in the frame's own renderer
+   * @param {Object} session - Debugger session owning the node
+   * @param {Array<Object>} features - Emulated media features ([] clears them)
+   * @returns {Promise<void>} - Promise that resolves once every session is emulating
+   */
+  function emulateMedia(session, features) {
+    const params = { media: '', features: features };
+    return Debugger.sendCommand(session.tabId, 'Emulation.setEmulatedMedia', params).then(function() {
+      return session.sessionId ? Debugger.sendCommand(session, 'Emulation.setEmulatedMedia', params) : null;
+    });
+  }
+
+  /**
+   * Re-render the page at each requested viewport width and capture the element there
+   *
+   * Runs only when the capture asks for breakpoints. The viewport height is kept,
+   * widths up to MOBILE_MAX_WIDTH are emulated as mobile (so the page's viewport
+   * meta tag applies), and the override is always cleared afterwards.
+   * @returns {Promise<Object|null>} - Promise that resolves to a map of width to
+   *   {width, rect, tokens, screenshot_base64} (hidden: true when the element is not rendered)
+   */
+  function captureResponsive(session, nodeId, target) {
+    const tabId = session.tabId;
+    const breakpoints = target.breakpoints || [];
+    if (!breakpoints.length) return Promise.resolve(null);
+
+    const responsive = {};
+
+    return Debugger.sendCommand(tabId, 'Page.getLayoutMetrics')
+      .then(function(metrics) {
+        const viewport = metrics.cssLayoutViewport || metrics.layoutViewport;
+        return breakpoints.reduce(function(chain, width) {
+          return chain.then(function() {
+            return captureBreakpoint(tabId, width, viewport.clientHeight, target)
+              .catch(function(error) {
+                console.warn(`Background: Breakpoint ${width}px failed`, error);
+                return { width: width, error: error.message };
+              })
+              .then(function(capture) {
+                responsive[width] = capture;
+              });
+          });
+        }, Promise.resolve());
+      })
+      .finally(function() {
+        return Debugger.sendCommand(tabId, 'Emulation.clearDeviceMetricsOverride')
+          .then(function() {
+            return delay(RESPONSIVE_SETTLE_MS);
+          })
+          .catch(function(error) {
+            console.warn('Background: Could not clear the viewport override', error);
+          });
+      })
+      .then(function() {
+        return responsive;
+      });
+  }
+
+  /**
+   * Emulate one viewport width and capture the element's rect, tokens and screenshot
+   */
+  function captureBreakpoint(tabId, width, height, target) {
+    return Debugger.sendCommand(tabId, 'Emulation.setDeviceMetricsOverride', {
+      width: width,
+      height: height,
+      deviceScaleFactor: 0,
+      mobile: width <= MOBILE_MAX_WIDTH
+    })
+      .then(function() {
+        return delay(RESPONSIVE_SETTLE_MS);
+      })
+      .then(function() {
+        return measureElement(tabId, target);
+      })
+      .then(function(measurement) {
+        const capture = { width: width, rect: measurement.rect, tokens: measurement.tokens };
+        if (!measurement.rect.width || !measurement.rect.height) {
+          capture.hidden = true;
+          return capture;
+        }
+        return clipScreenshot(tabId, measurement.rect).then(function(dataUrl) {
+          capture.screenshot_base64 = dataUrl;
+          return capture;
+        });
+      });
+  }
+
+  /**
+   * Ask the content script in the selection's frame to re-measure the element
+   * (top-level rect and tokens, plus transitions and animations when target.motion is set)
+   * @param {number} tabId - The inspected tab
+   * @param {Object} target - Inspection target carrying frameId and captureId
+   */
+  function measureElement(tabId, target) {
+    const message = { type: 'MEASURE_ELEMENT', captureId: target.captureId, motion: !!target.motion };
+    return chrome.tabs.sendMessage(tabId, message, { frameId: target.frameId || 0 }).then(function(measurement) {
+      if (!measurement) {
+        throw new Error('Selected element is no longer available');
+      }
+      return measurement;
+    });
+  }
+
+  /**
+   * Resolve after the given number of milliseconds
+   */
+  function delay(ms) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
   /**
    * Handle extension installation
    */
@@ -17,10 +17,71 @@
   let port = null;
   let currentTabId = null;
   
+  // Batch capture (shift-click) state
+  let batchSelection = [];
+  let batchToolbar = null;
+
+  // Elements sent to the panel, by captureId (re-measured during inspection)
+  const selectedElements = new Map();
+
+  // Their selectors, to find them again if a re-render replaces the node
+  const selectedSelectors = new Map();
+
+  // Capture options chosen in the panel settings (sent with START_SELECTION)
+  let captureOptions = {};
+
+  // Hidden same-origin frame holding pristine elements, and their default styles by tag
+  let defaultStyleFrame = null;
+  const defaultStyleCache = new Map();
+
   // Performance throttling
   let rafId = null;
   let lastHoverTarget = null;
 
+  // Keyboard traversal while selecting, like the native inspector
+  const KEYBOARD_TRAVERSAL = {
+    ArrowUp: (element) => {
+      const parent = getComposedParent(element);
+      return parent && parent !== document.documentElement ? parent : null;
+    },
+    // A slot descends to its assigned elements, a host into its shadow tree; either
+    // falls back to its own children, so slotted light DOM stays reachable
+    ArrowDown: (element) => {
+      const slotted = element instanceof HTMLSlotElement ? element.assignedElements({ flatten: true }) : [];
+      const shadowChildren = element.shadowRoot ? Array.from(element.shadowRoot.children) : [];
+      return [...slotted, ...shadowChildren, ...element.children].find(isTraversable) || null;
+    },
+    ArrowLeft: (element) => findSibling(element, "previousElementSibling"),
+    ArrowRight: (element) => findSibling(element, "nextElementSibling"),
+  };
+
+  // How long to wait for a parent frame to report this frame's offset (ms)
+  const FRAME_CONTEXT_TIMEOUT = 500;
+
+  // Conventional state class names (.active, .is-active, .has-error, .btn--disabled)
+  const STATE_WORDS = ["active", "disabled", "selected", "open", "expanded", "collapsed", "checked", "current", "focused", "loading", "error", "invalid"];
+  const STATE_CLASS_PATTERN = new RegExp(`^(?:is-|has-|.+--)?(${STATE_WORDS.join("|")})$`);
+
+  // How many ancestor tags a structural signature includes
+  const SIGNATURE_PATH_DEPTH = 3;
+
+  // Portable snapshots: elements that get inlined styles, and images embedded as data URIs
+  const SNAPSHOT_MAX_STYLED_ELEMENTS = 2000;
+  const SNAPSHOT_MAX_EMBEDDED_IMAGES = 50;
+
+  // Images fetched for embedding: size cap (bytes) and timeout (ms)
+  const SNAPSHOT_MAX_EMBED_BYTES = 2 * 1024 * 1024;
+  const SNAPSHOT_FETCH_TIMEOUT = 5000;
+
+  // Ancestors recorded in the lineage unless capture options set a depth (0 = up to <body>)
+  const DEFAULT_LINEAGE_DEPTH = 3;
+
+  // Children summarized per ancestor in lineage HTML
+  const LINEAGE_MAX_CHILDREN = 50;
+
+  // Attributes holding a single URL, resolved to absolute URLs in snapshots
+  const URL_ATTRIBUTES = ["src", "href", "poster", "action", "formaction", "cite", "data"];
+
   /**
    * Initialize the content script
    */
@@ -44,6 +105,12 @@
 
     // Listen for messages sent via chrome.tabs.sendMessage (from panel or background)
     chrome.runtime.onMessage.addListener(function (message, sender, sendResponse) {
+      // Synchronous requests from the background capture pipeline
+      if (message && message.type === "MEASURE_ELEMENT") {
+        measureSelectedElement(message.captureId, message.motion).then(sendResponse);
+        return true; // Respond asynchronously (frame offsets are resolved via the parent)
+      }
+
       handleMessage(message);
       return true; // Keep channel open for async response
     });
@@ -51,6 +118,9 @@
     // Add global keyboard listener for ESC key
     document.addEventListener("keydown", handleKeyDown);
 
+    // Answer frame offset requests from content scripts in child frames
+    window.addEventListener("message", handleFrameContextRequest);
+
     // Handle disconnection
     port.onDisconnect.addListener(function () {
       const error = chrome.runtime.lastError;
@@ -134,9 +204,17 @@
       case "START_SELECTION":
         // Start selection mode
         console.log("Content script: Starting selection mode");
+        captureOptions = message.options || {};
         enableSelectionMode();
         break;
 
+      case "FIND_SIMILAR":
+        // Highlight every element structurally similar to a captured one
+        console.log("Content script: Finding similar elements");
+        captureOptions = message.options || {};
+        highlightSimilarElements(message.captureId);
+        break;
+
       case "STOP_SELECTION":
         // Stop selection mode
         console.log("Content script: Stopping selection mode");
@@ -237,16 +315,9 @@
       
       let tooltipText = `${tagName}${id}${className} (${dimensions})`;
       
-      // Iframe warning
+      // Frame content is selected by hovering inside the frame itself
       if (tagName === 'iframe') {
-        tooltipText += " [IFRAME: Content Inaccessible]";
-        overlay.style.borderColor = "#f9ab00"; // Warning color
-        overlayTooltip.style.backgroundColor = "#f9ab00";
-        overlayTooltip.style.color = "#202124";
-      } else {
-        overlay.style.borderColor = "#1a73e8";
-        overlayTooltip.style.backgroundColor = "#1a73e8";
-        overlayTooltip.style.color = "white";
+        tooltipText += " [IFRAME: hover inside to select its content]";
       }
 
       overlayTooltip.textContent = tooltipText;
@@ -279,13 +350,15 @@
       return;
     }
 
-    // Don't highlight the overlay itself
-    if (e.target === overlay || (overlay && overlay.contains(e.target))) {
+    const target = getEventTarget(e);
+
+    // Don't highlight the overlay itself (or other injected UI)
+    if (isOwnElement(target)) {
       return;
     }
 
     // Performance throttling with requestAnimationFrame
-    lastHoverTarget = e.target;
+    lastHoverTarget = target;
     
     if (rafId) {
         cancelAnimationFrame(rafId);
@@ -299,10 +372,88 @@
   }
   
   /**
-   * Handle keyboard events (ESC to cancel)
+   * Get the innermost element an event was dispatched to, piercing open shadow roots
+   * (e.target is retargeted to the shadow host)
+   * @param {Event} e - The mouse event
+   * @returns {Element} - The deepest element in the composed path
+   */
+  function getEventTarget(e) {
+    const path = typeof e.composedPath === "function" ? e.composedPath() : [];
+    return path.find((node) => node.nodeType === Node.ELEMENT_NODE) || e.target;
+  }
+
+  /**
+   * Check whether keyboard traversal may land on an element
+   * (skips non-rendered tags and the overlay itself)
+   * @param {Element} element - Candidate element
+   * @returns {boolean} - True if the element can be highlighted
+   */
+  function isTraversable(element) {
+    const skippedTags = ["script", "style", "link", "meta", "template", "noscript"];
+    return (
+      !!element &&
+      element !== overlay &&
+      !skippedTags.includes(element.tagName.toLowerCase())
+    );
+  }
+
+  /**
+   * Find the nearest traversable sibling in one direction
+   * @param {Element} element - The element to start from
+   * @param {string} property - "previousElementSibling" or "nextElementSibling"
+   * @returns {Element|null} - The sibling, or null if there is none
+   */
+  function findSibling(element, property) {
+    let sibling = element[property];
+    while (sibling && !isTraversable(sibling)) {
+      sibling = sibling[property];
+    }
+    return sibling;
+  }
+
+  /**
+   * Get an element's parent, crossing from a shadow root to its host
+   * @param {Element} element - The element to start from
+   * @returns {Element|null} - The parent element or shadow host
+   */
+  function getComposedParent(element) {
+    if (element.parentElement) {
+      return element.parentElement;
+    }
+    const root = element.getRootNode();
+    return root instanceof ShadowRoot ? root.host : null;
+  }
+
+  /**
+   * Handle keyboard events (ESC to cancel, arrows to traverse the DOM, Enter to capture)
    */
   function handleKeyDown(e) {
     if (!isSelectionMode) return;
+
+    if (KEYBOARD_TRAVERSAL[e.key]) {
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (!lastHoverTarget) return;
+      const next = KEYBOARD_TRAVERSAL[e.key](lastHoverTarget);
+      if (next) {
+        lastHoverTarget = next;
+        next.scrollIntoView({ block: "nearest", inline: "nearest" });
+        updateOverlay(next);
+      }
+      return;
+    }
+
+    if (e.key === "Enter" && (batchSelection.length > 0 || lastHoverTarget)) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (batchSelection.length > 0) {
+        confirmBatch();
+      } else {
+        selectElement(lastHoverTarget);
+      }
+      return;
+    }
     
     if (e.key === "Escape") {
       console.log("Component Auditor: ESC pressed, cancelling selection");
@@ -325,14 +476,261 @@
     }
   }
 
+  /**
+   * Get the element's bounding rectangle in document and viewport coordinates
+   * @param {Element} element - The element to measure
+   * @returns {Object} - Rect with document-relative x/y and viewport-relative viewportX/viewportY
+   */
+  function getElementRect(element) {
+    const rect = element.getBoundingClientRect();
+    const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
+    const scrollY = window.pageYOffset || document.documentElement.scrollTop;
+
+    return {
+      x: rect.left + scrollX,
+      y: rect.top + scrollY,
+      width: rect.width,
+      height: rect.height,
+      // Also include viewport-relative coordinates for screenshot cropping
+      viewportX: rect.left,
+      viewportY: rect.top,
+    };
+  }
+
+  /**
+   * Build a unique CSS selector for an element so it can be located again
+   * (e.g., by the debugger as a DOM nodeId). Elements inside open shadow roots
+   * are described as "host selector >>> selector within the shadow root".
+   * @param {Element} element - The element to describe
+   * @returns {string} - Selector path such as "html > body > my-card >>> div > button"
+   */
+  function getElementSelector(element) {
+    const root = element.getRootNode();
+    const parts = [];
+    let current = element;
+
+    while (current && current !== document.documentElement) {
+      if (current.id && root.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        current = null;
+        break;
+      }
+
+      let part = current.tagName.toLowerCase();
+      const siblings = current.parentElement ? current.parentElement.children : root.children;
+      const sameTag = Array.from(siblings || []).filter((c) => c.tagName === current.tagName);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+      }
+
+      parts.unshift(part);
+      current = current.parentElement;
+    }
+
+    if (current === document.documentElement) {
+      parts.unshift("html");
+    }
+
+    const selector = parts.join(" > ");
+    return root instanceof ShadowRoot ? `${getElementSelector(root.host)} >>> ${selector}` : selector;
+  }
+
+  /**
+   * Re-measure a selected element (used while the debugger forces states or emulation)
+   * @param {string} captureId - Which selected element to measure
+   * @param {boolean} [withMotion] - Also report the transitions and animations in effect
+   * @returns {Promise<Object|null>} - Promise resolving to the current top-level rect and tokens, or null if the capture is unknown or gone
+   */
+  function measureSelectedElement(captureId, withMotion) {
+    const element = getSelectedElement(captureId);
+    if (!element) {
+      return Promise.resolve(null);
+    }
+
+    const rect = getElementRect(element);
+    const tokens = extractTokens(element);
+    const motion = withMotion ? extractMotion(element) : undefined;
+    return getFrameContext().then((context) => ({
+      rect: toTopLevelRect(rect, context),
+      tokens: tokens,
+      motion: motion,
+    }));
+  }
+
+  /**
+   * Look up a selected element, re-locating it by selector if the page replaced
+   * the node (e.g., a component re-rendered at another viewport width)
+   * @param {string} captureId - Which selected element
+   * @returns {Element|null} - The connected element, or null if the id is unknown or the element is gone
+   */
+  function getSelectedElement(captureId) {
+    const element = selectedElements.get(captureId);
+    if (element && element.isConnected) return element;
+
+    const selector = selectedSelectors.get(captureId);
+    if (!selector) return null;
+
+    let root = document;
+    let found = null;
+    for (const segment of selector.split(" >>> ")) {
+      found = root && root.querySelector(segment);
+      if (!found) return null;
+      root = found.shadowRoot;
+    }
+    selectedElements.set(captureId, found);
+    return found;
+  }
+
+  /**
+   * Resolve this frame's position within the top-level page
+   *
+   * Each frame asks its parent's content script (via postMessage) where its
+   * <iframe> element sits; the parent answers recursively up to the top frame.
+   * @returns {Promise<Object|null>} - Promise resolving to { x, y, scrollX, scrollY, selector } or null if unknown
+   */
+  function getFrameContext() {
+    if (window === window.top) {
+      return Promise.resolve({
+        x: 0,
+        y: 0,
+        scrollX: window.pageXOffset || document.documentElement.scrollLeft,
+        scrollY: window.pageYOffset || document.documentElement.scrollTop,
+        selector: "",
+      });
+    }
+
+    return new Promise((resolve) => {
+      const requestId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+      const onReply = (event) => {
+        const data = event.data;
+        if (event.source !== window.parent || !data || data.type !== "CA_FRAME_CONTEXT" || data.requestId !== requestId) {
+          return;
+        }
+        clearTimeout(timeout);
+        window.removeEventListener("message", onReply);
+        resolve(data.context);
+      };
+
+      // The parent frame may not have our content script (e.g., sandboxed frames)
+      const timeout = setTimeout(() => {
+        window.removeEventListener("message", onReply);
+        console.warn("Component Auditor: Could not resolve frame offset");
+        resolve(null);
+      }, FRAME_CONTEXT_TIMEOUT);
+
+      window.addEventListener("message", onReply);
+      window.parent.postMessage({ type: "CA_GET_FRAME_CONTEXT", requestId }, "*");
+    });
+  }
+
+  /**
+   * Answer a child frame's request for its position within the top-level page
+   *
+   * Only windows of this document's own frames are answered, and the reply is
+   * addressed to the requesting origin so a frame that navigated away meanwhile
+   * does not receive it.
+   */
+  function handleFrameContextRequest(event) {
+    const data = event.data;
+    if (!event.source || !data || data.type !== "CA_GET_FRAME_CONTEXT") {
+      return;
+    }
+
+    const frame = Array.from(document.querySelectorAll("iframe, frame")).find((f) => f.contentWindow === event.source);
+    if (!frame) {
+      return;
+    }
+
+    // Offset of the frame's content box within this frame's viewport
+    const rect = frame.getBoundingClientRect();
+    const style = window.getComputedStyle(frame);
+    const contentX = rect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0);
+    const contentY = rect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0);
+    const frameSelector = getElementSelector(frame);
+
+    getFrameContext().then((context) => {
+      if (!context) {
+        return;
+      }
+      event.source.postMessage(
+        {
+          type: "CA_FRAME_CONTEXT",
+          requestId: data.requestId,
+          context: {
+            x: context.x + contentX,
+            y: context.y + contentY,
+            scrollX: context.scrollX,
+            scrollY: context.scrollY,
+            selector: toTopLevelSelector(frameSelector, context),
+          },
+        },
+        // Opaque origins (sandboxed frames) cannot be targeted by name
+        event.origin && event.origin !== "null" ? event.origin : "*"
+      );
+    });
+  }
+
+  /**
+   * Translate a frame-local rect into top-level document and viewport coordinates
+   * @param {Object} rect - Rect from getElementRect
+   * @param {Object|null} context - Frame context from getFrameContext
+   * @returns {Object} - Rect in top-level coordinates (unchanged if the context is unknown)
+   */
+  function toTopLevelRect(rect, context) {
+    if (!context) {
+      return rect;
+    }
+
+    const viewportX = rect.viewportX + context.x;
+    const viewportY = rect.viewportY + context.y;
+    return {
+      x: viewportX + context.scrollX,
+      y: viewportY + context.scrollY,
+      width: rect.width,
+      height: rect.height,
+      viewportX: viewportX,
+      viewportY: viewportY,
+    };
+  }
+
+  /**
+   * Prefix a frame-local selector with the selector chain of its <iframe> elements
+   * ("iframe#checkout >>> html > body > button")
+   */
+  function toTopLevelSelector(selector, context) {
+    return context && context.selector ? `${context.selector} >>> ${selector}` : selector;
+  }
+
   /**
    * Extract HTML from an element
+   *
+   * Open shadow roots in the subtree are serialized as declarative shadow DOM
+   * (<template shadowrootmode="open">) so the markup can be rendered again.
    * @param {Element} element - The element to extract HTML from
    * @returns {string} - The outerHTML of the element
    */
   function extractHTML(element) {
     try {
-      return element.outerHTML || "";
+      // Mark every element on a path from the root down to a shadow host
+      const needsWalk = new Set();
+      const markHosts = (node) => {
+        node.querySelectorAll("*").forEach((child) => {
+          if (!child.shadowRoot) return;
+          for (let current = child; current && !needsWalk.has(current); current = getComposedParent(current)) {
+            needsWalk.add(current);
+            if (current === element) break;
+          }
+          markHosts(child.shadowRoot);
+        });
+      };
+      if (element.shadowRoot) {
+        needsWalk.add(element);
+        markHosts(element.shadowRoot);
+      }
+      markHosts(element);
+
+      return needsWalk.size > 0 ? serializeComposed(element, needsWalk) : element.outerHTML || "";
     } catch (error) {
       console.warn("Component Auditor: Error extracting HTML", error);
       return "";
@@ -340,32 +738,510 @@
   }
 
   /**
-   * Extract lineage (parent ancestors) up to 3 levels
+   * Serialize an element, inlining open shadow roots as declarative shadow DOM templates
+   * @param {Element} element - The element to serialize
+   * @param {Set<Element>} needsWalk - Elements whose subtree contains a shadow host
+   * @returns {string} - The serialized HTML
+   */
+  function serializeComposed(element, needsWalk) {
+    if (!needsWalk.has(element)) {
+      return element.outerHTML;
+    }
+
+    const shallow = element.cloneNode(false).outerHTML;
+    const closeIndex = shallow.lastIndexOf("</");
+    const openTag = closeIndex === -1 ? shallow : shallow.slice(0, closeIndex);
+    const closeTag = closeIndex === -1 ? "" : shallow.slice(closeIndex);
+
+    const serializeChildren = (parent) =>
+      Array.from(parent.childNodes)
+        .map((child) => {
+          if (child.nodeType === Node.ELEMENT_NODE) return serializeComposed(child, needsWalk);
+          if (child.nodeType === Node.COMMENT_NODE) return `<!--${child.data}-->`;
+          if (child.nodeType !== Node.TEXT_NODE) return "";
+          return ["script", "style"].includes(parent.nodeName.toLowerCase())
+            ? child.data
+            : child.data.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        })
+        .join("");
+
+    const shadow = element.shadowRoot
+      ? `<template shadowrootmode="open">${serializeChildren(element.shadowRoot)}</template>`
+      : "";
+
+    return openTag + shadow + serializeChildren(element) + closeTag;
+  }
+
+  /**
+   * Build a standalone HTML document that renders the component offline
+   *
+   * Every element gets its non-default computed styles inlined (pseudo-elements
+   * become generated rules), URLs are made absolute, scripts and inline event
+   * handlers are dropped, open shadow roots become declarative shadow DOM, and
+   * images (including CSS background images) are embedded as data URIs.
+   * @param {Element} element - The captured element
+   * @returns {Promise<string|null>} - Promise that resolves to the HTML document, or null on failure
+   */
+  function buildPortableSnapshot(element) {
+    try {
+      const state = { styled: 0, pseudoRules: [], images: [] };
+      const clone = snapshotNode(element, state);
+
+      // Detach the root from its page position so it renders in normal flow
+      if (["absolute", "fixed", "sticky"].includes(clone.style.position)) {
+        clone.style.position = "relative";
+        ["top", "right", "bottom", "left"].forEach((side) => clone.style.removeProperty(side));
+      }
+      ["top", "right", "bottom", "left"].forEach((side) => clone.style.removeProperty(`margin-${side}`));
+
+      const parent = getComposedParent(element);
+      const background = getEffectiveBackground(parent).rgb.map(Math.round);
+
+      return embedSnapshotImages(clone, state)
+        .then(() =>
+          [
+            "<!DOCTYPE html>",
+            `<html lang="${escapeAttribute(document.documentElement.lang || "")}">`,
+            "<head>",
+            '<meta charset="utf-8">',
+            `<title>${escapeText(document.title || "Component snapshot")}</title>`,
+            "<style>",
+            `body { margin: 0; padding: 16px; background: rgb(${background.join(", ")}); }`,
+            ...state.pseudoRules,
+            "</style>",
+            "</head>",
+            `<body>${clone.outerHTML}</body>`,
+            "</html>",
+          ].join("\n")
+        )
+        .catch((error) => {
+          console.warn("Component Auditor: Error building portable snapshot", error);
+          return null;
+        });
+    } catch (error) {
+      console.warn("Component Auditor: Error building portable snapshot", error);
+      return Promise.resolve(null);
+    }
+  }
+
+  /**
+   * Clone one node for the portable snapshot (recursing into children and open shadow roots)
+   * @param {Node} node - Original node
+   * @param {Object} state - Shared snapshot state (styled count, pseudo rules, images)
+   * @returns {Node|null} - Snapshot clone, or null if the node is dropped
+   */
+  function snapshotNode(node, state) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.cloneNode(false);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return null;
+    }
+
+    const tag = node.localName;
+    if (["script", "noscript", "template", "style", "link", "meta"].includes(tag) || isOwnElement(node)) {
+      return null;
+    }
+
+    // Attributes only: form fields keep the markup's initial value, never what the user typed
+    const clone = node.cloneNode(false);
+    Array.from(clone.attributes).forEach((attribute) => {
+      if (attribute.name.startsWith("on") || attribute.name === "nonce") {
+        clone.removeAttribute(attribute.name);
+      }
+    });
+
+    // Absolute URLs (images use the source the browser actually picked)
+    URL_ATTRIBUTES.forEach((name) => {
+      const value = node.getAttribute(name);
+      if (value && !/^(data|javascript):/i.test(value.trim())) {
+        clone.setAttribute(name, resolveURL(value));
+      }
+    });
+    if (tag === "img") {
+      if (node.currentSrc) clone.setAttribute("src", node.currentSrc);
+      ["srcset", "sizes", "loading"].forEach((name) => clone.removeAttribute(name));
+      state.images.push(clone);
+    }
+
+    if (state.styled < SNAPSHOT_MAX_STYLED_ELEMENTS) {
+      state.styled++;
+      clone.setAttribute("style", getSnapshotStyle(node, null));
+
+      ["::before", "::after"].forEach((pseudo) => {
+        const content = window.getComputedStyle(node, pseudo).content;
+        if (!content || content === "none" || content === "normal") return;
+        if (!clone.hasAttribute("data-ca-snapshot")) {
+          clone.setAttribute("data-ca-snapshot", String(state.pseudoRules.length));
+        }
+        state.pseudoRules.push(
+          `[data-ca-snapshot="${clone.getAttribute("data-ca-snapshot")}"]${pseudo} { ${getSnapshotStyle(node, pseudo)} }`
+        );
+      });
+    }
+
+    // Canvas pixels are not part of the DOM; keep a picture of them
+    if (tag === "canvas") {
+      try {
+        const image = document.createElement("img");
+        image.setAttribute("src", node.toDataURL());
+        image.setAttribute("style", clone.getAttribute("style") || "");
+        return image;
+      } catch (error) {
+        // Tainted canvas: keep the empty canvas at the same size
+      }
+    }
+
+    if (node.shadowRoot) {
+      const template = document.createElement("template");
+      template.setAttribute("shadowrootmode", "open");
+      Array.from(node.shadowRoot.childNodes).forEach((child) => {
+        const childClone = snapshotNode(child, state);
+        if (childClone) template.content.appendChild(childClone);
+      });
+      clone.appendChild(template);
+    }
+
+    Array.from(node.childNodes).forEach((child) => {
+      const childClone = snapshotNode(child, state);
+      if (childClone) clone.appendChild(childClone);
+    });
+    return clone;
+  }
+
+  /**
+   * Serialize the computed style properties of an element (or pseudo-element)
+   * that differ from the browser defaults
+   * @param {Element} element - The original element
+   * @param {string|null} pseudo - "::before", "::after" or null
+   * @returns {string} - Inline style declarations
+   */
+  function getSnapshotStyle(element, pseudo) {
+    const computedStyle = window.getComputedStyle(element, pseudo);
+    // Pseudo-elements are compared with an unstyled inline element
+    const defaults = getDefaultStyle(
+      pseudo ? { namespaceURI: "http://www.w3.org/1999/xhtml", localName: "span" } : element
+    );
+
+    return Array.from(computedStyle)
+      .filter((property) => !property.startsWith("--"))
+      .map((property) => [property, computedStyle.getPropertyValue(property)])
+      .filter(([property, value]) => value !== defaults[property])
+      .map(([property, value]) => `${property}: ${value};`)
+      .join(" ");
+  }
+
+  /**
+   * Replace image sources and CSS url() references in a snapshot with data URIs
+   * (fetched with the page's own CORS rules; images the page may not read keep their URL)
+   * @param {Element} clone - Snapshot root
+   * @param {Object} state - Snapshot state holding the cloned images
+   * @returns {Promise<void>} - Resolves once embedding finished (failures keep the absolute URL)
+   */
+  function embedSnapshotImages(clone, state) {
+    const urlPattern = /url\("([^"]+)"\)/g;
+    const styled = [clone, ...clone.querySelectorAll("[style]")];
+    const urls = new Set();
+
+    state.images.forEach((image) => urls.add(image.getAttribute("src")));
+    styled.forEach((node) => {
+      for (const match of (node.getAttribute("style") || "").matchAll(urlPattern)) {
+        urls.add(match[1]);
+      }
+    });
+
+    const targets = Array.from(urls)
+      .filter((url) => url && /^https?:/i.test(url))
+      .slice(0, SNAPSHOT_MAX_EMBEDDED_IMAGES);
+
+    return Promise.all(
+      targets.map((url) =>
+        fetchAsDataUri(url)
+          .then((dataUri) => [url, dataUri])
+          .catch((error) => {
+            console.warn(`Component Auditor: Could not embed ${url}`, error.message);
+            return [url, null];
+          })
+      )
+    ).then((results) => {
+      const dataUris = new Map(results.filter((result) => result[1]));
+      if (dataUris.size === 0) return;
+
+      state.images.forEach((image) => {
+        const dataUri = dataUris.get(image.getAttribute("src"));
+        if (dataUri) image.setAttribute("src", dataUri);
+      });
+      styled.forEach((node) => {
+        const style = node.getAttribute("style") || "";
+        if (!style.includes("url(")) return;
+        node.setAttribute(
+          "style",
+          style.replace(urlPattern, (match, url) => (dataUris.has(url) ? `url("${dataUris.get(url)}")` : match))
+        );
+      });
+    });
+  }
+
+  /**
+   * Fetch an image from the page's context and encode it as a data URI
+   * @param {string} url - Absolute http(s) URL
+   * @returns {Promise<string>} - Promise that resolves to the data URI
+   */
+  function fetchAsDataUri(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SNAPSHOT_FETCH_TIMEOUT);
+
+    return fetch(url, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.blob();
+      })
+      .then((blob) => {
+        if (blob.size > SNAPSHOT_MAX_EMBED_BYTES) {
+          throw new Error(`Resource too large to embed (${blob.size} bytes)`);
+        }
+        return new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(blob);
+        });
+      })
+      .finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Resolve a (possibly relative) URL against the page
+   */
+  function resolveURL(value) {
+    try {
+      return new URL(value.trim(), document.baseURI).href;
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Escape text for use inside an HTML element
+   */
+  function escapeText(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+
+  /**
+   * Escape text for use inside a double-quoted HTML attribute
+   */
+  function escapeAttribute(text) {
+    return escapeText(text).replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Extract lineage (ancestors) up to the configured depth or <body>, walking across shadow boundaries
+   *
+   * Each ancestor records its layout role and a shallow HTML serialization: its
+   * open tag plus one summary line per child, the child on the lineage path
+   * marked. The nested lineage HTML shows the whole chain, outermost first.
    * @param {Element} element - The element to traverse from
-   * @returns {Array<Object>} - Array of ancestor info (tagName, className, id)
+   * @param {number} [depth] - Ancestors to record; 0 walks up to <body>
+   * @returns {Object} - { lineage: Array of ancestor info (tagName, className, id, layout, html), lineageHtml }
    */
-  function extractLineage(element) {
+  function extractLineage(element, depth = DEFAULT_LINEAGE_DEPTH) {
     const lineage = [];
-    let current = element.parentElement;
-    let level = 0;
-    const maxLevels = 3;
+    let previous = element;
+    let current = getComposedParent(element);
+    let lineageHtml = `${summarizeElement(element)} <!-- captured component -->`;
 
-    while (current && level < maxLevels) {
+    while (current && (!depth || lineage.length < depth)) {
       try {
-        lineage.push({
+        // A shadow host's rendered children live in its shadow root
+        const container = previous.parentElement ? current : previous.getRootNode();
+        const entry = {
           tagName: current.tagName || "",
           className: current.className || "",
           id: current.id || "",
-        });
-        current = current.parentElement;
-        level++;
+          layout: getLayoutRole(current),
+          html: serializeLineageLevel(current, container, previous, `${summarizeElement(previous)} <!-- lineage path -->`),
+        };
+        // Flag ancestors reached by crossing out of a shadow root
+        if (!previous.parentElement) {
+          entry.shadowHost = true;
+        }
+        lineage.push(entry);
+        lineageHtml = serializeLineageLevel(current, container, previous, lineageHtml);
+
+        if (current === current.ownerDocument.body) break;
+        previous = current;
+        current = getComposedParent(current);
       } catch (error) {
         console.warn("Component Auditor: Error extracting lineage", error);
         break;
       }
     }
 
-    return lineage;
+    return { lineage, lineageHtml };
+  }
+
+  /**
+   * Classify how an ancestor lays out its children
+   * @param {Element} element - Ancestor element
+   * @returns {Object} - Layout role (flex, grid or block) with the properties that shape it
+   */
+  function getLayoutRole(element) {
+    const style = window.getComputedStyle(element);
+    const display = style.display;
+    const layout = {
+      role: display.includes("grid") ? "grid" : display.includes("flex") ? "flex" : "block",
+      display: display,
+    };
+
+    if (layout.role === "flex") {
+      layout.direction = style.flexDirection;
+      layout.wrap = style.flexWrap !== "nowrap";
+    } else if (layout.role === "grid") {
+      // Computed tracks are resolved sizes ("300px 300px 300px"); line names are dropped
+      const tracks = style.gridTemplateColumns.replace(/\[[^\]]*\]/g, "").trim();
+      layout.columns = tracks && tracks !== "none" ? tracks.split(/\s+(?![^(]*\))/).length : 1;
+    }
+    if (layout.role !== "block") {
+      layout.gap = style.columnGap;
+    }
+
+    // Horizontal scrolling and scroll snapping are what set carousels apart from grids
+    if (style.overflowX === "auto" || style.overflowX === "scroll") {
+      layout.scrollX = true;
+    }
+    if (style.scrollSnapType && style.scrollSnapType !== "none") {
+      layout.scrollSnap = style.scrollSnapType;
+    }
+
+    return layout;
+  }
+
+  /**
+   * Serialize one lineage level: the ancestor's open tag, a line per child
+   * (repeated identical children collapsed), and the closing tag
+   * @param {Element} ancestor - Ancestor element
+   * @param {Element|ShadowRoot} container - Node whose children are listed (the shadow root for hosts)
+   * @param {Element} pathChild - Child on the path to the captured component
+   * @param {string} pathMarkup - Markup written in place of the path child
+   * @returns {string} - Shallow HTML
+   */
+  function serializeLineageLevel(ancestor, container, pathChild, pathMarkup) {
+    const { open, close } = getTagParts(ancestor);
+    const indent = (markup) => markup.replace(/^/gm, "  ");
+    const lines = [open];
+    if (container !== ancestor) lines.push("  <!-- #shadow-root -->");
+
+    let run = null;
+    const flush = () => {
+      if (run) lines.push(`  ${run.summary}${run.count > 1 ? ` <!-- ×${run.count} -->` : ""}`);
+      run = null;
+    };
+
+    const children = Array.from(container.children);
+    children.forEach((child, index) => {
+      if (child === pathChild) {
+        flush();
+        lines.push(indent(pathMarkup));
+        return;
+      }
+      if (index >= LINEAGE_MAX_CHILDREN) return;
+
+      const summary = summarizeElement(child);
+      if (run && run.summary === summary) {
+        run.count++;
+      } else {
+        flush();
+        run = { summary, count: 1 };
+      }
+    });
+    flush();
+
+    if (children.length > LINEAGE_MAX_CHILDREN) {
+      lines.push(`  <!-- ${children.length - LINEAGE_MAX_CHILDREN} more children -->`);
+    }
+    if (close) lines.push(close);
+    return lines.join("\n");
+  }
+
+  /**
+   * Summarize an element as its tag with id, class and role, contents elided
+   * @param {Element} element - Element to summarize
+   * @returns {string} - e.g. <article class="card">…</article>
+   */
+  function summarizeElement(element) {
+    const attributes = ["id", "class", "role"]
+      .filter((name) => element.getAttribute(name))
+      .map((name) => ` ${name}="${escapeAttribute(element.getAttribute(name))}"`)
+      .join("");
+    const { close } = getTagParts(element);
+    return `<${element.localName}${attributes}>${close ? `…${close}` : ""}`;
+  }
+
+  /**
+   * Split an element's own markup into its open and closing tags
+   * @param {Element} element - Element to serialize
+   * @returns {Object} - { open, close } (close is empty for void elements)
+   */
+  function getTagParts(element) {
+    const html = element.cloneNode(false).outerHTML;
+    const close = `</${element.localName}>`;
+    return html.endsWith(close)
+      ? { open: html.slice(0, -close.length), close: close }
+      : { open: html, close: "" };
+  }
+
+  /**
+   * Compute a structural signature for an element so repeated instances of the
+   * same component can be found: ancestor tag path, class-token pattern (state
+   * classes dropped, hashed/numeric suffixes wildcarded) and child shape
+   * @param {Element} element - The element to fingerprint
+   * @returns {string} - Signature such as "main>section>ul>li|card.card__*|img,div,button"
+   */
+  function computeStructuralSignature(element) {
+    const tagPath = [element.tagName.toLowerCase()];
+    let current = getComposedParent(element);
+    while (current && tagPath.length <= SIGNATURE_PATH_DEPTH) {
+      tagPath.unshift(current.tagName.toLowerCase());
+      current = getComposedParent(current);
+    }
+
+    const classPattern = [
+      ...new Set(
+        Array.from(element.classList || [])
+          .filter((token) => !STATE_CLASS_PATTERN.test(token))
+          .map((token) => token.replace(/([-_]+)[a-zA-Z0-9]*\d[a-zA-Z0-9]*$/, "$1*"))
+      ),
+    ].sort();
+
+    // Runs of same-tag children collapse to one entry so item counts may differ
+    const childShape = [];
+    Array.from(element.children).forEach((child) => {
+      const tag = child.tagName.toLowerCase();
+      if (childShape[childShape.length - 1] !== tag) {
+        childShape.push(tag);
+      }
+    });
+
+    return `${tagPath.join(">")}|${classPattern.join(".")}|${childShape.join(",")}`;
+  }
+
+  /**
+   * Find the other visible elements sharing an element's structural signature
+   * (searched within the element's own document or shadow root)
+   * @param {Element} element - The captured element
+   * @returns {Array<Element>} - Matching elements in document order, excluding the element itself
+   */
+  function findSimilarElements(element) {
+    const signature = computeStructuralSignature(element);
+    return Array.from(element.getRootNode().querySelectorAll(element.tagName)).filter((candidate) => {
+      if (candidate === element || isOwnElement(candidate)) return false;
+      const rect = candidate.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return false;
+      return computeStructuralSignature(candidate) === signature;
+    });
   }
 
   /**
@@ -409,9 +1285,10 @@
   /**
    * Extract computed style tokens from an element
    * @param {Element} element - The element to extract tokens from
-   * @returns {Object} - Object containing color, typography, spacing, and effects tokens
+   * @param {Object} [options] - Set contrast to false to skip the WCAG contrast check
+   * @returns {Object} - Object containing color, typography, spacing, effects and contrast tokens
    */
-  function extractTokens(element) {
+  function extractTokens(element, options = {}) {
     const tokens = {
       colors: [],
       fonts: [],
@@ -419,6 +1296,7 @@
       border: {},
       shadows: [],
       opacity: null,
+      contrast: null,
     };
 
     try {
@@ -430,13 +1308,13 @@
       const borderColor = computedStyle.borderColor;
 
       if (color && color !== "rgba(0, 0, 0, 0)" && color !== "transparent") {
-        tokens.colors.push({ type: "color", value: color });
+        tokens.colors.push({ type: "color", value: color, ...normalizeColor(color) });
       }
       if (backgroundColor && backgroundColor !== "rgba(0, 0, 0, 0)" && backgroundColor !== "transparent") {
-        tokens.colors.push({ type: "background-color", value: backgroundColor });
+        tokens.colors.push({ type: "background-color", value: backgroundColor, ...normalizeColor(backgroundColor) });
       }
       if (borderColor && borderColor !== "rgba(0, 0, 0, 0)" && borderColor !== "transparent") {
-        tokens.colors.push({ type: "border-color", value: borderColor });
+        tokens.colors.push({ type: "border-color", value: borderColor, ...normalizeColor(borderColor) });
       }
 
       // Extract typography tokens
@@ -509,6 +1387,10 @@
       if (opacity && opacity !== "1") {
         tokens.opacity = opacity;
       }
+
+      if (options.contrast !== false) {
+        tokens.contrast = extractContrast(element, computedStyle);
+      }
     } catch (error) {
       console.warn("Component Auditor: Error extracting tokens", error);
     }
@@ -517,68 +1399,411 @@
   }
 
   /**
-   * Detect frameworks and libraries used on the page
-   * @returns {Array<string>} - Array of detected framework/library names
+   * Find the opaque colors an element and its text are painted as
+   *
+   * Walks from the element up its ancestors to the (white) canvas. Each element
+   * paints its background-color under its content and its opacity then fades the
+   * whole group, so translucent layers and opacity anywhere in the chain are both
+   * composited. Background images cannot be measured, so they are only flagged.
+   * @param {Element|null} element - The element to start from (inclusive)
+   * @param {Array<number>} [foreground] - [r, g, b, a] text color of the element
+   * @returns {Object} - {rgb: [r, g, b], text: [r, g, b] or null, hasBackgroundImage}
    */
-  function detectFrameworks() {
-    const detected = [];
-
-    try {
-      // React Detection
-      let hasReact = false;
-      if (window.__REACT_DEVTOOLS_GLOBAL_HOOK__) {
-        const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
-        if ((hook.renderers && hook.renderers.size > 0) || (hook._renderers && Object.keys(hook._renderers).length > 0)) {
-          hasReact = true;
-        }
+  function getEffectiveBackground(element, foreground) {
+    const Tokens = window.ComponentAuditorTokens;
+    let background = [0, 0, 0, 0];
+    let text = foreground || null;
+    let hasBackgroundImage = false;
+    const fade = (color, opacity) => color.slice(0, 3).concat(color[3] * opacity);
+
+    for (let current = element; current && Tokens; current = getComposedParent(current)) {
+      const style = window.getComputedStyle(current);
+      const layer = Tokens.parseColor(style.backgroundColor) || [0, 0, 0, 0];
+      const opacity = parseFloat(style.opacity);
+      if (style.backgroundImage && style.backgroundImage !== "none") {
+        hasBackgroundImage = true;
       }
-      if (!hasReact && (window.React || window.ReactDOM)) {
-        hasReact = true;
+      background = Tokens.compositeColors(background, layer);
+      text = text && Tokens.compositeColors(text, layer);
+      if (opacity >= 0 && opacity < 1) {
+        background = fade(background, opacity);
+        text = text && fade(text, opacity);
       }
-      if (!hasReact) {
-         if (document.querySelector("[data-reactroot]") || document.querySelector("[data-react-helmet]")) {
-             hasReact = true;
-         }
-      }
-      if (hasReact) detected.push("React");
+    }
 
-      // Vue Detection
-      let hasVue = false;
-      if (window.__VUE_DEVTOOLS_GLOBAL_HOOK__ || typeof window.Vue !== "undefined" || window.__VUE__) {
-        hasVue = true;
+    const canvas = [255, 255, 255, 1];
+    return {
+      rgb: Tokens ? Tokens.compositeColors(background, canvas).slice(0, 3) : canvas.slice(0, 3),
+      text: text && Tokens.compositeColors(text, canvas).slice(0, 3),
+      hasBackgroundImage: hasBackgroundImage,
+    };
+  }
+
+  /**
+   * Normalize a computed color to hex, HSL and OKLCH with alpha split out
+   * @param {string} value - Computed color
+   * @returns {Object} - {hex, hsl, oklch, alpha}, or {unparsed: true} if it cannot be parsed
+   */
+  function normalizeColor(value) {
+    return (window.ComponentAuditorTokens && window.ComponentAuditorTokens.normalizeColor(value)) || { unparsed: true };
+  }
+
+  /**
+   * Compute the WCAG contrast of the element's text color over its effective background,
+   * as painted after background layers and opacity up the ancestor chain
+   * @param {Element} element - The element whose text is checked
+   * @param {CSSStyleDeclaration} computedStyle - The element's computed style
+   * @returns {Object|null} - Colors, ratio and AA/AAA pass state, {unparsedColor} if the
+   *   text color cannot be parsed, or null if unavailable
+   */
+  function extractContrast(element, computedStyle) {
+    const Tokens = window.ComponentAuditorTokens;
+    if (!Tokens) {
+      return null;
+    }
+    const foreground = Tokens.parseColor(computedStyle.color);
+    if (!foreground) {
+      return { unparsedColor: computedStyle.color };
+    }
+
+    const effective = getEffectiveBackground(element, foreground);
+    const background = effective.rgb;
+    const text = effective.text;
+    const ratio = Tokens.contrastRatio(text, background);
+
+    const fontSize = parseFloat(computedStyle.fontSize) || 0;
+    const bold = parseInt(computedStyle.fontWeight, 10) >= 700;
+    const largeText = fontSize >= 24 || (bold && fontSize >= 18.66);
+    const toColor = (rgb) => `rgb(${rgb.map((channel) => Math.round(channel)).join(", ")})`;
+
+    return {
+      foreground: normalizeColor(toColor(text)).hex,
+      background: normalizeColor(toColor(background)).hex,
+      ratio: Math.round(ratio * 100) / 100,
+      largeText: largeText,
+      ...Tokens.gradeContrast(ratio, largeText),
+      backgroundImage: effective.hasBackgroundImage,
+    };
+  }
+
+  /**
+   * Aggregate tokens across an element and its rendered descendants so composite
+   * components keep the values of their parts (title font, button color, badge radius)
+   * @param {Element} element - The root of the captured component
+   * @returns {Object} - Deduplicated colors, font families, font sizes, radii, shadows and
+   *   spacing values, each with a usage count and the child paths (relative to the root,
+   *   " >>> " entering an open shadow root) using it
+   */
+  function extractSubtreeTokens(element) {
+    const maxNodes = 500;
+    const maxPaths = 10;
+    const skippedTags = ["script", "style", "noscript", "template"];
+    const categories = {
+      colors: new Map(),
+      fontFamilies: new Map(),
+      fontSizes: new Map(),
+      radii: new Map(),
+      shadows: new Map(),
+      spacing: new Map(),
+    };
+    let visited = 0;
+
+    // Count each value once per element (recorded holds the element's category/value
+    // pairs, since paths stop growing at maxPaths); colors also record the properties using them
+    function record(recorded, category, value, path, property) {
+      if (!value) return;
+      const entry = categories[category].get(value) || { value: value, count: 0, paths: [] };
+      if (!recorded.has(`${category}|${value}`)) {
+        recorded.add(`${category}|${value}`);
+        entry.count++;
+        if (entry.paths.length < maxPaths) entry.paths.push(path);
       }
-      if (hasVue) detected.push("Vue");
-      
-      // Angular Detection
-      let hasAngular = false;
-      if (!hasReact) { // Reduce false positives
-          if (window.angular || document.querySelector("[ng-version]") || document.querySelector("[ng-app]")) {
-              hasAngular = true;
-          }
+      if (property) {
+        entry.properties = [...new Set([...(entry.properties || []), property])];
       }
-      if (hasAngular) detected.push("Angular");
+      categories[category].set(value, entry);
+    }
 
-      // CSS Frameworks
-      if (document.querySelector(".container") || document.querySelector("[class*='col-']")) detected.push("Bootstrap");
-      
-      const tailwindPattern = /^(flex|grid|p-\d+|m-\d+|text-\w+|bg-\w+|rounded-\w+)/;
-      const allElements = document.querySelectorAll("*");
-      for (let i = 0; i < Math.min(100, allElements.length); i++) {
-          const el = allElements[i];
-          if (el.className && typeof el.className === 'string') {
-              const classes = el.className.split(/\s+/);
-              if (classes.some(c => tailwindPattern.test(c))) {
-                  detected.push("Tailwind");
-                  break;
-              }
-          }
+    function visit(node, path) {
+      if (visited >= maxNodes || window.getComputedStyle(node).display === "none") {
+        return;
       }
+      visited++;
+
+      const tokens = extractTokens(node, { contrast: false });
+      const recorded = new Set();
+      tokens.colors.forEach((color) => {
+        // Border colors only matter when a border is actually drawn
+        if (color.type === "border-color" && !tokens.border.width) return;
+        record(recorded, "colors", color.value, path, color.type);
+      });
+      tokens.fonts.forEach((font) => {
+        if (font.type === "font-family") record(recorded, "fontFamilies", font.value, path);
+        if (font.type === "font-size") record(recorded, "fontSizes", font.value, path);
+      });
+      record(recorded, "radii", tokens.border.radius, path);
+      tokens.shadows.forEach((shadow) => record(recorded, "shadows", shadow, path));
+      ["padding", "margin"].forEach((box) => {
+        Object.values(tokens.spacing[box] || {})
+          .filter((value) => value !== "0px")
+          .forEach((value) => record(recorded, "spacing", value, path));
+      });
+
+      visitChildren(node, path, " > ");
+      // Web components render their open shadow tree (slotted light children are visited above)
+      if (node.shadowRoot) visitChildren(node.shadowRoot, path, " >>> ");
+    }
+
+    function visitChildren(parent, path, separator) {
+      const counts = {};
+      Array.from(parent.children)
+        .filter((child) => !skippedTags.includes(child.tagName.toLowerCase()))
+        .forEach((child) => {
+          const tag = child.tagName.toLowerCase();
+          counts[tag] = (counts[tag] || 0) + 1;
+          visit(child, `${path}${separator}${tag}:nth-of-type(${counts[tag]})`);
+        });
+    }
+
+    const result = {};
+    try {
+      visit(element, ":scope");
+    } catch (error) {
+      console.warn("Component Auditor: Error aggregating subtree tokens", error);
+    }
+
+    Object.keys(categories).forEach((category) => {
+      result[category] = Array.from(categories[category].values()).sort((a, b) => b.count - a.count);
+    });
+    result.elementCount = visited;
+    result.truncated = visited >= maxNodes;
+    return result;
+  }
+
+  /**
+   * Collect the CSS transitions and animations in effect on an element and its subtree
+   * @param {Element} element - Root element of the component
+   * @returns {Array<Object>} - [{path, transitions, animations}] for each element with motion
+   */
+  function extractMotion(element) {
+    const maxNodes = 200;
+    const skippedTags = ["script", "style", "noscript", "template"];
+    const entries = [];
+    let visited = 0;
+
+    // Computed values are comma-separated lists; shorter lists repeat
+    const listItem = (list, index) => {
+      const items = list.split(/,(?![^(]*\))/).map((item) => item.trim());
+      return items[index % items.length];
+    };
+
+    function visit(node, path) {
+      if (visited >= maxNodes) return;
+      visited++;
+
+      const computed = window.getComputedStyle(node);
+      const transitions = computed.transitionProperty
+        .split(",")
+        .map((property, index) => ({
+          property: property.trim(),
+          duration: listItem(computed.transitionDuration, index),
+          timingFunction: listItem(computed.transitionTimingFunction, index),
+          delay: listItem(computed.transitionDelay, index),
+        }))
+        .filter((transition) => transition.property && transition.property !== "none" && parseFloat(transition.duration) > 0);
+      const animations = computed.animationName
+        .split(",")
+        .map((name, index) => ({
+          name: name.trim(),
+          duration: listItem(computed.animationDuration, index),
+          timingFunction: listItem(computed.animationTimingFunction, index),
+          delay: listItem(computed.animationDelay, index),
+          iterationCount: listItem(computed.animationIterationCount, index),
+          direction: listItem(computed.animationDirection, index),
+          fillMode: listItem(computed.animationFillMode, index),
+        }))
+        .filter((animation) => animation.name && animation.name !== "none");
+
+      if (transitions.length || animations.length) {
+        entries.push({ path: path, transitions: transitions, animations: animations });
+      }
+
+      const counts = {};
+      Array.from(node.children)
+        .filter((child) => !skippedTags.includes(child.tagName.toLowerCase()))
+        .forEach((child) => {
+          const tag = child.tagName.toLowerCase();
+          counts[tag] = (counts[tag] || 0) + 1;
+          visit(child, `${path} > ${tag}:nth-of-type(${counts[tag]})`);
+        });
+    }
+
+    try {
+      visit(element, ":scope");
+    } catch (error) {
+      console.warn("Component Auditor: Error extracting motion", error);
+    }
+    return entries;
+  }
+
+  /**
+   * Snapshot every computed style property that differs from the browser default
+   * for the same tag (custom properties are left to token extraction)
+   * @param {Element} element - The element to snapshot
+   * @returns {Object|null} - Map of property name to computed value, or null if unavailable
+   */
+  function extractComputedStyle(element) {
+    try {
+      const computedStyle = window.getComputedStyle(element);
+      const defaults = getDefaultStyle(element);
+      const snapshot = {};
+
+      Array.from(computedStyle)
+        .filter((property) => !property.startsWith("--"))
+        .sort()
+        .forEach((property) => {
+          const value = computedStyle.getPropertyValue(property);
+          if (value !== defaults[property]) {
+            snapshot[property] = value;
+          }
+        });
+
+      return snapshot;
+    } catch (error) {
+      console.warn("Component Auditor: Error extracting computed style", error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the browser default computed style for an element's tag, measured on a
+   * pristine element in an isolated, unstyled document
+   * @param {Element} element - The element whose tag defaults are needed
+   * @returns {Object} - Map of property name to default computed value
+   */
+  function getDefaultStyle(element) {
+    const key = `${element.namespaceURI}|${element.localName}`;
+    if (defaultStyleCache.has(key)) {
+      return defaultStyleCache.get(key);
+    }
+
+    if (!defaultStyleFrame || !defaultStyleFrame.isConnected) {
+      defaultStyleFrame = document.createElement("iframe");
+      defaultStyleFrame.id = "__CA_DEFAULT_STYLE_FRAME__";
+      defaultStyleFrame.setAttribute("aria-hidden", "true");
+      defaultStyleFrame.tabIndex = -1;
+      defaultStyleFrame.style.cssText = `
+        position: absolute;
+        top: -10000px;
+        left: -10000px;
+        width: 1024px;
+        height: 768px;
+        visibility: hidden;
+        pointer-events: none;
+        border: 0;
+      `;
+      document.documentElement.appendChild(defaultStyleFrame);
+
+      // Standards mode, so quirks-mode defaults don't leak into the comparison
+      const frameDocument = defaultStyleFrame.contentDocument;
+      frameDocument.open();
+      frameDocument.write("<!DOCTYPE html><html><head></head><body></body></html>");
+      frameDocument.close();
+    }
+
+    const frameDocument = defaultStyleFrame.contentDocument;
+    const pristine = frameDocument.createElementNS(element.namespaceURI, element.localName);
+    (frameDocument.body || frameDocument.documentElement).appendChild(pristine);
 
+    const computedStyle = defaultStyleFrame.contentWindow.getComputedStyle(pristine);
+    const defaults = {};
+    Array.from(computedStyle).forEach((property) => {
+      defaults[property] = computedStyle.getPropertyValue(property);
+    });
+    pristine.remove();
+
+    defaultStyleCache.set(key, defaults);
+    return defaults;
+  }
+
+  /**
+   * Detect the UI state of an element from ARIA/DOM state attributes and conventional state classes
+   * @param {Element} element - The element to analyze
+   * @returns {Object} - Object with a state label (e.g., "Expanded, Selected" or "Default") and the signals it came from
+   */
+  function extractState(element) {
+    const result = {
+      state: "Default",
+      signals: {
+        attributes: {},
+        classes: [],
+      },
+    };
+
+    try {
+      const labels = [];
+      const attributes = result.signals.attributes;
+
+      // ARIA state attributes (string values, "true"/"false"/"mixed")
+      const ariaStates = {
+        "aria-expanded": { true: "Expanded", false: "Collapsed" },
+        "aria-selected": { true: "Selected" },
+        "aria-disabled": { true: "Disabled" },
+        "aria-pressed": { true: "Pressed", mixed: "Pressed (Mixed)" },
+      };
+      Object.keys(ariaStates).forEach((name) => {
+        const value = element.getAttribute(name);
+        if (value === null) return;
+        attributes[name] = value;
+        if (ariaStates[name][value]) labels.push(ariaStates[name][value]);
+      });
+
+      // Native DOM states (read from live properties where the element supports them)
+      const nativeStates = [
+        { name: "checked", label: "Checked", read: () => element.checked === true },
+        { name: "disabled", label: "Disabled", read: () => element.disabled === true || element.matches(":disabled") },
+        { name: "open", label: "Open", read: () => element.open === true || element.hasAttribute("open") },
+        { name: "readonly", label: "Read-only", read: () => element.readOnly === true || element.hasAttribute("readonly") },
+      ];
+      nativeStates.forEach(({ name, label, read }) => {
+        if (read()) {
+          attributes[name] = true;
+          labels.push(label);
+        }
+      });
+
+      // Conventional state classes: .active, .is-active, .has-error, .btn--disabled
+      Array.from(element.classList || []).forEach((className) => {
+        const match = className.match(STATE_CLASS_PATTERN);
+        if (!match) return;
+        result.signals.classes.push(className);
+        labels.push(match[1].charAt(0).toUpperCase() + match[1].slice(1));
+      });
+
+      const unique = [...new Set(labels)];
+      if (unique.length > 0) {
+        result.state = unique.join(", ");
+      }
     } catch (error) {
-      console.error("Component Auditor: Error detecting frameworks", error);
+      console.warn("Component Auditor: Error extracting state", error);
     }
 
-    return detected;
+    return result;
+  }
+
+  /**
+   * Detect frameworks and libraries used on the page
+   *
+   * DOM signals are read here; page globals and DOM expandos come from the
+   * page's own JavaScript world through the background script.
+   * @returns {Promise<Array<Object>>} - Promise that resolves to [{name, category, version, confidence, evidence}]
+   */
+  function detectLibraries() {
+    const registry = window.ComponentAuditorLibraries;
+    return chrome.runtime
+      .sendMessage({ type: "PROBE_PAGE_STATE", paths: registry.getGlobalPaths() })
+      .catch(() => null)
+      .then((pageState) => registry.detectLibraries(document, pageState));
   }
 
   /**
@@ -676,6 +1901,153 @@
     }
   }
 
+  /**
+   * Classify an element as one of the foundational atom types used by the inventory
+   * @param {Element} element - The element to classify
+   * @returns {string|null} - Inventory key (e.g., "buttons") or null if it is not an atom
+   */
+  function classifyAtom(element) {
+    const tagName = element.tagName.toLowerCase();
+    const role = element.getAttribute("role");
+    const type = (element.getAttribute("type") || "").toLowerCase();
+
+    if (tagName === "button" || role === "button" || (tagName === "input" && ["button", "submit", "reset"].includes(type))) {
+      return "buttons";
+    }
+    if (tagName === "input" && type === "hidden") return null;
+    if (["input", "select", "textarea"].includes(tagName) || element.getAttribute("contenteditable") === "true") {
+      return "inputs";
+    }
+    if (tagName === "a" && element.hasAttribute("href")) return "links";
+    if (tagName === "img" || (role === "img" && tagName !== "svg")) return "images";
+    if (tagName === "svg" || (tagName === "i" && /icon|fa-/.test(element.className))) return "icons";
+    if (/^h[1-6]$/.test(tagName) || role === "heading") return "headings";
+    return null;
+  }
+
+  /**
+   * Derive a readable component name for an element (used in the composition tree)
+   * @param {Element} element - The element to name
+   * @returns {string} - Name such as "Card", "Title", "Button"
+   */
+  function nameComposition(element) {
+    const tagName = element.tagName.toLowerCase();
+    const atomNames = {
+      buttons: "Button",
+      inputs: "Input",
+      links: "Link",
+      images: "Image",
+      icons: "Icon",
+      headings: "Heading",
+    };
+    const tagNames = {
+      p: "Text",
+      ul: "List",
+      ol: "List",
+      li: "Item",
+      form: "Form",
+      nav: "Navigation",
+      header: "Header",
+      footer: "Footer",
+      label: "Label",
+      table: "Table",
+      picture: "Image",
+      figure: "Figure",
+    };
+
+    const atom = classifyAtom(element);
+    if (atom) return atomNames[atom];
+
+    // Prefer the first meaningful class (last BEM segment: "card__title" -> "Title")
+    const className = Array.from(element.classList || []).find((c) => /^[a-zA-Z][\w-]{2,}$/.test(c) && !/^(is|has|js)-/.test(c));
+    if (className) {
+      const segment = className.split(/__|--/).filter(Boolean).slice(-1)[0] || className;
+      return segment
+        .split(/[-_]/)
+        .filter(Boolean)
+        .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+        .join("");
+    }
+
+    if (tagNames[tagName]) return tagNames[tagName];
+    return ["span", "strong", "em", "small", "b", "i"].includes(tagName) ? "Text" : "Container";
+  }
+
+  /**
+   * Recursively analyze the element's subtree into an atom inventory and a composition tree
+   * @param {Element} element - The root element to analyze
+   * @returns {Object} - Object with inventory counts and a composition_tree string (e.g., "Card > (Image + Content > (Title + Button))")
+   */
+  function analyzeComposition(element) {
+    const maxDepth = 4;
+    const inventory = {
+      buttons: 0,
+      links: 0,
+      images: 0,
+      icons: 0,
+      inputs: 0,
+      headings: 0,
+      text_nodes: 0,
+    };
+    const ignoredTags = ["script", "style", "noscript", "template"];
+
+    function describe(node, depth) {
+      const name = nameComposition(node);
+      const children = Array.from(node.children).filter((c) => !ignoredTags.includes(c.tagName.toLowerCase()));
+
+      // Atoms and the depth limit end the branch
+      if (classifyAtom(node) || children.length === 0 || depth >= maxDepth) {
+        return name;
+      }
+
+      // Collapse anonymous single-child wrappers into their child
+      if (children.length === 1 && name === "Container" && depth > 0) {
+        return describe(children[0], depth);
+      }
+
+      // Group consecutive identical siblings ("Item ×3")
+      const parts = [];
+      children.forEach((child) => {
+        const description = describe(child, depth + 1);
+        const last = parts[parts.length - 1];
+        if (last && last.description === description) {
+          last.count++;
+        } else {
+          parts.push({ description, count: 1 });
+        }
+      });
+
+      const rendered = parts.map((p) => (p.count > 1 ? `${p.description} ×${p.count}` : p.description));
+      return rendered.length === 1 && parts[0].count === 1
+        ? `${name} > ${rendered[0]}`
+        : `${name} > (${rendered.join(" + ")})`;
+    }
+
+    try {
+      // Atom inventory (includes the root itself)
+      [element, ...element.querySelectorAll("*")].forEach((node) => {
+        const atom = classifyAtom(node);
+        if (atom) inventory[atom]++;
+      });
+
+      // Non-empty text nodes, excluding script and style contents
+      const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) =>
+          node.textContent.trim() && !ignoredTags.includes(node.parentElement?.tagName.toLowerCase())
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT,
+      });
+      while (walker.nextNode()) {
+        inventory.text_nodes++;
+      }
+
+      return { inventory, composition_tree: describe(element, 0) };
+    } catch (error) {
+      console.warn("Component Auditor: Error analyzing composition", error);
+      return { inventory, composition_tree: "" };
+    }
+  }
+
   /**
    * Handle click event for element selection
    */
@@ -684,35 +2056,81 @@
       return;
     }
 
+    const target = getEventTarget(e);
+
+    // Let the batch toolbar's own buttons receive their clicks
+    if (batchToolbar && batchToolbar.contains(target)) {
+      return;
+    }
+
     // Prevent default behavior and stop propagation
     e.preventDefault();
     e.stopPropagation();
 
-    // Don't select the overlay itself
-    if (e.target === overlay || (overlay && overlay.contains(e.target))) {
+    // Shift-click toggles the element in the pending batch
+    if (e.shiftKey) {
+      toggleBatchElement(target);
       return;
     }
 
-    // EDGE CASE: If iframe, block selection and warn
-    if (e.target.tagName.toLowerCase() === 'iframe') {
-        alert("Cannot select content inside iframes directly due to security restrictions.");
-        return;
+    // A plain click while a batch is pending adds the element and confirms the batch
+    if (batchSelection.length > 0) {
+      if (!batchSelection.some((entry) => entry.element === target)) {
+        toggleBatchElement(target);
+      }
+      confirmBatch();
+      return;
+    }
+
+    selectElement(target);
+  }
+
+  /**
+   * Check whether an element can be captured (alerts for invisible elements)
+   * @param {Element} target - The candidate element
+   * @returns {boolean} - True if the element can be captured
+   */
+  function isSelectableElement(target) {
+    // Don't select our own overlay UI
+    if (isOwnElement(target)) {
+      return false;
     }
 
     // EDGE CASE: Element removed from DOM
-    if (!document.body.contains(e.target)) {
+    if (!target.isConnected) {
         console.warn("Element removed from DOM before selection could complete");
-        return;
+        return false;
     }
 
     // Get element's bounding rectangle
-    const rect = e.target.getBoundingClientRect();
+    const rect = target.getBoundingClientRect();
 
     // EDGE CASE: Zero dimensions
     if (rect.width === 0 || rect.height === 0) {
         console.warn("Selected element has zero dimensions");
         alert("Cannot select invisible element (zero width/height).");
-        return;
+        return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether an element belongs to the extension's injected UI
+   */
+  function isOwnElement(target) {
+    return [overlay, batchToolbar, ...batchSelection.map((entry) => entry.outline)].some(
+      (node) => node && (node === target || node.contains(target))
+    );
+  }
+
+  /**
+   * Capture the given element and send it to the DevTools panel
+   * @param {Element} target - The element chosen by click or keyboard
+   */
+  function selectElement(target) {
+    if (!isSelectableElement(target)) {
+      return;
     }
     
     // Animate overlay before proceeding (Visual feedback)
@@ -721,73 +2139,314 @@
         overlay.style.transition = "background-color 0.1s ease";
     }
 
-    // Save reference to selected element
-    window.__CA_LAST_ELEMENT__ = e.target;
+    selectedElements.clear();
+    selectedSelectors.clear();
+    const selection = collectSelection(target);
 
-    const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
-    const scrollY = window.pageYOffset || document.documentElement.scrollTop;
+    // Small delay to show visual feedback before closing overlay
+    setTimeout(() => {
+      // Translate into top-level coordinates when selecting inside a frame
+      Promise.all([getFrameContext(), selection]).then(([context, payload]) => {
+        sendSelection({
+          type: "ELEMENT_SELECTED",
+          tabId: currentTabId,
+          ...toTopLevelPayload(payload, context),
+        });
+
+        // Disable selection mode after selection
+        disableSelectionMode();
+      }).catch((error) => {
+        console.error("Component Auditor: Error capturing selection", error);
+        disableSelectionMode();
+      });
+    }, 150);
+  }
+
+  /**
+   * Extract the selection payload and its portable snapshot
+   *
+   * The crosshair cursor rule is switched off while styles are read, so it
+   * does not leak into computed-style captures.
+   * @param {Element} target - The selected element
+   * @returns {Promise<Object>} - Promise that resolves to the payload with meta.libraries (and code.portableHtml, if enabled) set;
+   *   a failed snapshot or library detection leaves that part out, and only a failed extraction rejects
+   */
+  function collectSelection(target) {
+    const cursorStyle = document.getElementById("__CA_CURSOR_STYLE__");
+    if (cursorStyle) cursorStyle.disabled = true;
+
+    try {
+      const payload = buildSelectionPayload(target);
+      // The snapshot styles every node synchronously, so it is opt-in
+      const snapshot = captureOptions.portableSnapshot ? buildPortableSnapshot(target) : Promise.resolve(null);
+      const detection = Promise.resolve().then(detectLibraries).catch((error) => {
+        console.warn("Component Auditor: Error detecting libraries", error);
+        return [];
+      });
+      return Promise.all([snapshot, detection]).then(([portableHtml, libraries]) => {
+        const threshold = window.ComponentAuditorLibraries.REPORT_THRESHOLD;
+        if (portableHtml) payload.code.portableHtml = portableHtml;
+        payload.meta.libraries = libraries;
+        payload.meta.frameworks = libraries.filter((library) => library.confidence >= threshold).map((library) => library.name);
+        return payload;
+      });
+    } catch (error) {
+      return Promise.reject(error);
+    } finally {
+      if (cursorStyle) cursorStyle.disabled = false;
+    }
+  }
+
+  /**
+   * Extract everything the panel needs for one selected element
+   * @param {Element} target - The selected element
+   * @returns {Object} - Selection payload (frame-local rect and selector)
+   */
+  function buildSelectionPayload(target) {
+    // Save reference to selected element
+    window.__CA_LAST_ELEMENT__ = target;
+    const captureId = `${Date.now()}-${selectedElements.size}`;
+    selectedElements.set(captureId, target);
+    selectedSelectors.set(captureId, getElementSelector(target));
 
     // Extract HTML, lineage, siblings, and tokens
-    const html = extractHTML(e.target);
-    const lineage = extractLineage(e.target);
-    const siblings = extractSiblings(e.target);
-    const tokens = extractTokens(e.target);
+    const html = extractHTML(target);
+    const { lineage, lineageHtml } = extractLineage(target, captureOptions.lineageDepth ?? DEFAULT_LINEAGE_DEPTH);
+    const siblings = extractSiblings(target);
+    const tokens = extractTokens(target);
+    const state = extractState(target);
 
     // Extract context awareness data
-    const frameworks = detectFrameworks();
     const urlData = parseURL();
-    const guessedAtomicLevel = guessAtomicLevel(e.target);
+    const guessedAtomicLevel = guessAtomicLevel(target);
+    const composition = analyzeComposition(target);
 
-    // Prepare the selection message
-    const selectionMessage = {
-      type: "ELEMENT_SELECTED",
-      tabId: currentTabId,
+    return {
+      captureId: captureId,
       element: {
-        tagName: e.target.tagName,
-        className: e.target.className,
-        id: e.target.id,
+        tagName: target.tagName,
+        className: target.className,
+        id: target.id,
       },
+      selector: getElementSelector(target),
       guessedAtomicLevel: guessedAtomicLevel,
-      rect: {
-        x: rect.left + scrollX,
-        y: rect.top + scrollY,
-        width: rect.width,
-        height: rect.height,
-        // Also include viewport-relative coordinates for screenshot cropping
-        viewportX: rect.left,
-        viewportY: rect.top,
-      },
+      rect: getElementRect(target),
       code: {
         html: html,
         lineage: lineage,
+        lineage_html: lineageHtml,
         siblings: siblings,
         tokens: tokens,
+        subtreeTokens: extractSubtreeTokens(target),
+        signature: computeStructuralSignature(target),
+        ...(captureOptions.computedStyle && { computedStyle: extractComputedStyle(target) }),
+      },
+      semantics: {
+        state: state.state,
+        state_signals: state.signals,
+        inventory: composition.inventory,
+        composition_tree: composition.composition_tree,
       },
       meta: {
-        frameworks: frameworks,
         route: urlData.route,
         queryParams: urlData.queryParams,
         domain: window.location.hostname,
         timestamp: new Date().toISOString(),
       },
     };
-    
-    // Small delay to show visual feedback before closing overlay
-    setTimeout(() => {
-        // Send selection message to background script
-        if (port) {
-          try {
-            port.postMessage(selectionMessage);
-          } catch (error) {
-            chrome.runtime.sendMessage(selectionMessage).catch(() => {});
-          }
-        } else {
-          chrome.runtime.sendMessage(selectionMessage).catch(() => {});
-        }
+  }
 
-        // Disable selection mode after selection
-        disableSelectionMode();
-    }, 150);
+  /**
+   * Translate a selection payload's rect and selector into top-level coordinates
+   */
+  function toTopLevelPayload(payload, context) {
+    return {
+      ...payload,
+      rect: toTopLevelRect(payload.rect, context),
+      selector: toTopLevelSelector(payload.selector, context),
+    };
+  }
+
+  /**
+   * Send a selection message to the background script
+   */
+  function sendSelection(message) {
+    if (port) {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        chrome.runtime.sendMessage(message).catch(() => {});
+      }
+    } else {
+      chrome.runtime.sendMessage(message).catch(() => {});
+    }
+  }
+
+  /**
+   * Add an element to the pending batch, or remove it if it is already there
+   * @param {Element} target - The shift-clicked element
+   */
+  function toggleBatchElement(target) {
+    const index = batchSelection.findIndex((entry) => entry.element === target);
+    if (index !== -1) {
+      const [removed] = batchSelection.splice(index, 1);
+      removed.outline.remove();
+      updateBatchUI();
+      return;
+    }
+
+    if (!isSelectableElement(target)) {
+      return;
+    }
+
+    const outline = document.createElement("div");
+    outline.className = "__CA_BATCH_OUTLINE__";
+    outline.style.cssText = `
+      position: absolute;
+      pointer-events: none;
+      z-index: 2147483646;
+      border: 2px dashed #1e8e3e;
+      background-color: rgba(30, 142, 62, 0.08);
+      box-sizing: border-box;
+      border-radius: 2px;
+    `;
+
+    const badge = document.createElement("div");
+    badge.style.cssText = `
+      position: absolute;
+      top: -10px;
+      left: -10px;
+      min-width: 20px;
+      height: 20px;
+      padding: 0 4px;
+      border-radius: 10px;
+      background: #1e8e3e;
+      color: white;
+      font: bold 11px/20px monospace;
+      text-align: center;
+    `;
+    outline.appendChild(badge);
+    document.body.appendChild(outline);
+
+    batchSelection.push({ element: target, outline: outline });
+    updateBatchUI();
+  }
+
+  /**
+   * Reposition the batch outlines, renumber them and update the toolbar
+   */
+  function updateBatchUI() {
+    batchSelection.forEach((entry, index) => {
+      const rect = getElementRect(entry.element);
+      entry.outline.style.left = `${rect.x}px`;
+      entry.outline.style.top = `${rect.y}px`;
+      entry.outline.style.width = `${rect.width}px`;
+      entry.outline.style.height = `${rect.height}px`;
+      entry.outline.firstChild.textContent = String(index + 1);
+    });
+
+    if (batchSelection.length === 0) {
+      if (batchToolbar) batchToolbar.style.display = "none";
+      return;
+    }
+
+    if (!batchToolbar) {
+      batchToolbar = document.createElement("div");
+      batchToolbar.id = "__CA_BATCH_TOOLBAR__";
+      batchToolbar.style.cssText = `
+        position: fixed;
+        bottom: 16px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 2147483647;
+        display: flex;
+        gap: 8px;
+        align-items: center;
+        padding: 8px 12px;
+        background: #202124;
+        color: white;
+        border-radius: 8px;
+        font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      `;
+      batchToolbar.innerHTML = `
+        <span data-ca-batch-count></span>
+        <button type="button" data-ca-batch-confirm style="all: revert; cursor: pointer;">Capture all</button>
+        <button type="button" data-ca-batch-clear style="all: revert; cursor: pointer;">Clear</button>
+      `;
+      batchToolbar.querySelector("[data-ca-batch-confirm]").addEventListener("click", confirmBatch);
+      batchToolbar.querySelector("[data-ca-batch-clear]").addEventListener("click", clearBatch);
+      document.body.appendChild(batchToolbar);
+    }
+
+    batchToolbar.style.display = "flex";
+    batchToolbar.querySelector("[data-ca-batch-count]").textContent =
+      `${batchSelection.length} selected (Shift+click to add/remove, Enter to capture)`;
+  }
+
+  /**
+   * Send every element in the pending batch to the panel in one message
+   */
+  function confirmBatch() {
+    if (batchSelection.length === 0) {
+      return;
+    }
+
+    const targets = batchSelection
+      .map((entry) => entry.element)
+      .filter((element) => element.isConnected);
+
+    selectedElements.clear();
+    selectedSelectors.clear();
+    const selections = targets.map((target) => collectSelection(target));
+
+    Promise.all([getFrameContext(), Promise.all(selections)]).then(([context, payloads]) => {
+      sendSelection({
+        type: "ELEMENTS_SELECTED",
+        tabId: currentTabId,
+        elements: payloads.map((payload) => toTopLevelPayload(payload, context)),
+      });
+
+      // Disable selection mode after selection (also clears the batch)
+      disableSelectionMode();
+    }).catch((error) => {
+      console.error("Component Auditor: Error capturing selection", error);
+      disableSelectionMode();
+    });
+  }
+
+  /**
+   * Enter selection mode with every element similar to a captured one queued as
+   * a batch, so the user can review the matches (Shift+click) and capture them all
+   * @param {string} captureId - Capture ID of the original element
+   */
+  function highlightSimilarElements(captureId) {
+    const element = getSelectedElement(captureId);
+    const matches = element ? findSimilarElements(element) : [];
+
+    sendSelection({
+      type: "SIMILAR_FOUND",
+      tabId: currentTabId,
+      count: matches.length,
+      error: element && element.isConnected ? null : "The captured element is no longer on the page",
+    });
+
+    if (matches.length === 0) {
+      return;
+    }
+
+    enableSelectionMode();
+    clearBatch();
+    matches.forEach(toggleBatchElement);
+  }
+
+  /**
+   * Remove all pending batch elements and their outlines
+   */
+  function clearBatch() {
+    batchSelection.forEach((entry) => entry.outline.remove());
+    batchSelection = [];
+    updateBatchUI();
   }
 
   /**
@@ -824,7 +2483,9 @@
     }
 
     isSelectionMode = false;
+    lastHoverTarget = null;
     hideOverlay();
+    clearBatch();
 
     // Remove event listeners
     document.removeEventListener("mouseover", handleMouseOver, true);
@@ -858,6 +2519,19 @@
       overlay = null;
     }
 
+    if (batchToolbar && batchToolbar.parentNode) {
+      batchToolbar.parentNode.removeChild(batchToolbar);
+      batchToolbar = null;
+    }
+    selectedElements.clear();
+    selectedSelectors.clear();
+
+    if (defaultStyleFrame && defaultStyleFrame.parentNode) {
+      defaultStyleFrame.parentNode.removeChild(defaultStyleFrame);
+    }
+    defaultStyleFrame = null;
+    defaultStyleCache.clear();
+
     // Remove cursor style if it exists
     const style = document.getElementById("__CA_CURSOR_STYLE__");
     if (style && style.parentNode) {
@@ -870,6 +2544,15 @@
     }
   }
 
+  // The hidden default-style frame is ours; it needs no content script of its own
+  try {
+    if (window.frameElement && window.frameElement.id === "__CA_DEFAULT_STYLE_FRAME__") {
+      return;
+    }
+  } catch (error) {
+    // Cross-origin parent: cannot be our frame
+  }
+
   // Initialize when DOM is ready
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", init);
@@ -0,0 +1,312 @@
+/**
+ * Component Auditor - Chrome Debugger Wrapper
+ *
+ * This module provides a promise-based interface over chrome.debugger so the
+ * background service worker can issue Chrome DevTools Protocol commands
+ * against the inspected tab.
+ *
+ * Commands take a tabId, or a session ({ tabId, sessionId }) for frames that
+ * run out of process (cross-origin iframes). Those frames are auto-attached as
+ * flat child sessions so their DOM can be inspected like the top-level page.
+ */
+
+(function() {
+  'use strict';
+
+  const PROTOCOL_VERSION = '1.3';
+
+  // Attachment reference counts by tabId (nested captures share one session)
+  const attachedTabs = new Map();
+
+  // Attachments in progress by tabId, so concurrent callers share one attach
+  const pendingAttaches = new Map();
+
+  // Stylesheet headers reported by CSS.styleSheetAdded, by tabId then session and styleSheetId
+  const styleSheetHeaders = new Map();
+
+  // Out-of-process frame sessions, by tabId then frame id (the frame's target id)
+  const frameSessions = new Map();
+
+  // Child targets attach as flat sessions; page execution is never paused for us
+  const AUTO_ATTACH = { autoAttach: true, waitForDebuggerOnStart: false, flatten: true };
+
+  /**
+   * Attach the debugger to a tab (no-op if we are already attached)
+   * @param {number} tabId - The tab to attach to
+   * @returns {Promise<void>} - Promise that resolves once attached
+   */
+  function attach(tabId) {
+    const count = attachedTabs.get(tabId) || 0;
+    if (count > 0) {
+      attachedTabs.set(tabId, count + 1);
+      return Promise.resolve();
+    }
+
+    // A second caller while chrome.debugger.attach is pending would fail with
+    // "Another debugger is already attached", so it waits for the first
+    if (pendingAttaches.has(tabId)) {
+      return pendingAttaches.get(tabId).then(function() {
+        attachedTabs.set(tabId, (attachedTabs.get(tabId) || 0) + 1);
+      });
+    }
+
+    const pending = new Promise(function(resolve, reject) {
+      chrome.debugger.attach({ tabId: tabId }, PROTOCOL_VERSION, function() {
+        if (chrome.runtime.lastError) {
+          console.error('Debugger: Failed to attach', chrome.runtime.lastError.message);
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        attachedTabs.set(tabId, 1);
+        console.log(`Debugger: Attached to tab ${tabId}`);
+        resolve();
+      });
+    }).then(function() {
+      return sendCommand(tabId, 'Target.setAutoAttach', AUTO_ATTACH).catch(function(error) {
+        console.warn('Debugger: Out-of-process frames will not be inspected', error.message);
+      });
+    }).finally(function() {
+      pendingAttaches.delete(tabId);
+    });
+
+    pendingAttaches.set(tabId, pending);
+    return pending;
+  }
+
+  /**
+   * Release one attachment; the debugger detaches when the last one is released
+   * @param {number} tabId - The tab to detach from
+   * @returns {Promise<void>} - Promise that resolves once released
+   */
+  function detach(tabId) {
+    return new Promise(function(resolve) {
+      const count = attachedTabs.get(tabId) || 0;
+      if (count > 1) {
+        attachedTabs.set(tabId, count - 1);
+        resolve();
+        return;
+      }
+
+      attachedTabs.delete(tabId);
+      styleSheetHeaders.delete(tabId);
+      frameSessions.delete(tabId);
+      chrome.debugger.detach({ tabId: tabId }, function() {
+        if (chrome.runtime.lastError) {
+          // Already detached (tab closed or user dismissed the infobar)
+          console.log('Debugger: Detach ignored', chrome.runtime.lastError.message);
+        } else {
+          console.log(`Debugger: Detached from tab ${tabId}`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Send a DevTools Protocol command to an attached tab or one of its frame sessions
+   * @param {number|Object} session - The attached tab, or { tabId, sessionId }
+   * @param {string} method - Protocol method (e.g., 'Page.captureScreenshot')
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} - Promise that resolves to the command result
+   */
+  function sendCommand(session, method, params) {
+    return new Promise(function(resolve, reject) {
+      chrome.debugger.sendCommand(toDebuggee(session), method, params || {}, function(result) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(`${method}: ${chrome.runtime.lastError.message}`));
+          return;
+        }
+        resolve(result || {});
+      });
+    });
+  }
+
+  /**
+   * Resolve a CSS selector to a DOM node and the session that owns it
+   *
+   * Segments separated by " >>> " are resolved inside the open shadow root (or
+   * the frame document) of the previous match, so nodes within web components
+   * and iframes can be located. Frames running out of process have no
+   * contentDocument here; the rest of the selector is resolved in their own
+   * session. The DOM domain must be enabled in each session involved.
+   * @param {number} tabId - The attached tab
+   * @param {string} selector - Unique selector produced by the content script
+   * @returns {Promise<Object>} - Promise that resolves to { session, nodeId }
+   */
+  function querySelector(tabId, selector) {
+    return resolveSegments({ tabId: tabId }, selector.split(' >>> '), selector);
+  }
+
+  /**
+   * Resolve selector segments in one session, continuing into out-of-process frames
+   */
+  function resolveSegments(session, segments, selector) {
+    // Returns { node, consumed }: consumed stops short at a frame whose document is in another process
+    const locate = `(function(segments) {
+      let root = document;
+      let node = null;
+      for (let i = 0; i < segments.length; i++) {
+        if (!root) {
+          return /^i?frame$/.test(node.localName) ? { node: node, consumed: i } : null;
+        }
+        node = root.querySelector(segments[i]);
+        if (!node) return null;
+        root = node.shadowRoot || node.contentDocument;
+      }
+      return { node: node, consumed: segments.length };
+    })(${JSON.stringify(segments)})`;
+    const notFound = function() {
+      return new Error(`No node matches selector "${selector}"`);
+    };
+    let consumed = 0;
+
+    // The document must be requested before nodes can be pushed to the client
+    return sendCommand(session, 'DOM.getDocument', { depth: 0 })
+      .then(function() {
+        return sendCommand(session, 'Runtime.evaluate', { expression: `${locate}?.consumed`, returnByValue: true });
+      })
+      .then(function(result) {
+        consumed = result.result && result.result.value;
+        if (typeof consumed !== 'number') {
+          throw notFound();
+        }
+        return sendCommand(session, 'Runtime.evaluate', { expression: `${locate}?.node` });
+      })
+      .then(function(result) {
+        const object = result.result;
+        if (!object || !object.objectId) {
+          throw notFound();
+        }
+        return sendCommand(session, 'DOM.requestNode', { objectId: object.objectId })
+          .finally(function() {
+            return sendCommand(session, 'Runtime.releaseObject', { objectId: object.objectId })
+              .catch(function() {});
+          });
+      })
+      .then(function(result) {
+        if (!result.nodeId) {
+          throw notFound();
+        }
+        if (consumed === segments.length) {
+          return { session: session, nodeId: result.nodeId };
+        }
+
+        return getFrameSession(session, result.nodeId).then(function(frameSession) {
+          return sendCommand(frameSession, 'DOM.enable').then(function() {
+            return resolveSegments(frameSession, segments.slice(consumed), selector);
+          });
+        });
+      });
+  }
+
+  /**
+   * Find the child session of an out-of-process frame from its owner element
+   * @param {Object} session - Session owning the <iframe> element
+   * @param {number} nodeId - The <iframe> element's nodeId
+   * @returns {Promise<Object>} - Promise that resolves to { tabId, sessionId }
+   */
+  function getFrameSession(session, nodeId) {
+    return sendCommand(session, 'DOM.describeNode', { nodeId: nodeId }).then(function(result) {
+      const frameId = result.node && result.node.frameId;
+      const sessions = frameSessions.get(session.tabId);
+      const sessionId = frameId && sessions && sessions.get(frameId);
+      if (!sessionId) {
+        throw new Error(`Frame ${frameId || '(unknown)'} is not attached to the debugger`);
+      }
+      return { tabId: session.tabId, sessionId: sessionId };
+    });
+  }
+
+  /**
+   * Look up a stylesheet header (sourceURL, startLine, origin, ...) seen since CSS.enable
+   * @param {number|Object} session - The attached tab, or the frame session owning the rule
+   * @param {string} styleSheetId - Stylesheet identifier from a CSS rule
+   * @returns {Object|null} - CSS.CSSStyleSheetHeader, or null if unknown
+   */
+  function getStyleSheetHeader(session, styleSheetId) {
+    const debuggee = toDebuggee(session);
+    const headers = styleSheetHeaders.get(debuggee.tabId);
+    return (headers && headers.get(styleSheetKey(debuggee, styleSheetId))) || null;
+  }
+
+  /**
+   * Normalize a tabId or session into a chrome.debugger debuggee
+   */
+  function toDebuggee(session) {
+    return typeof session === 'number' ? { tabId: session } : session;
+  }
+
+  /**
+   * Key a stylesheet by session, since ids are only unique within one
+   */
+  function styleSheetKey(debuggee, styleSheetId) {
+    return `${debuggee.sessionId || ''}|${styleSheetId}`;
+  }
+
+  /**
+   * Run a callback while attached to a tab, detaching afterwards
+   * @param {number} tabId - The tab to attach to
+   * @param {Function} callback - Function returning a promise
+   * @returns {Promise<*>} - Promise that resolves to the callback result
+   */
+  function withDebugger(tabId, callback) {
+    return attach(tabId).then(function() {
+      return Promise.resolve()
+        .then(callback)
+        .then(
+          function(result) {
+            return detach(tabId).then(function() { return result; });
+          },
+          function(error) {
+            return detach(tabId).then(function() { throw error; });
+          }
+        );
+    });
+  }
+
+  // Forget sessions that Chrome closed on its own
+  chrome.debugger.onDetach.addListener(function(source, reason) {
+    if (source.tabId && attachedTabs.has(source.tabId)) {
+      console.log(`Debugger: Detached from tab ${source.tabId} (${reason})`);
+      attachedTabs.delete(source.tabId);
+      styleSheetHeaders.delete(source.tabId);
+      frameSessions.delete(source.tabId);
+    }
+  });
+
+  // Remember stylesheet headers (CSS.enable reports every existing sheet) and frame sessions
+  chrome.debugger.onEvent.addListener(function(source, method, params) {
+    if (!source.tabId || !attachedTabs.has(source.tabId)) return;
+
+    if (method === 'CSS.styleSheetAdded') {
+      if (!styleSheetHeaders.has(source.tabId)) {
+        styleSheetHeaders.set(source.tabId, new Map());
+      }
+      styleSheetHeaders.get(source.tabId).set(styleSheetKey(source, params.header.styleSheetId), params.header);
+    } else if (method === 'CSS.styleSheetRemoved' && styleSheetHeaders.has(source.tabId)) {
+      styleSheetHeaders.get(source.tabId).delete(styleSheetKey(source, params.styleSheetId));
+    } else if (method === 'Target.attachedToTarget' && params.targetInfo.type === 'iframe') {
+      if (!frameSessions.has(source.tabId)) {
+        frameSessions.set(source.tabId, new Map());
+      }
+      frameSessions.get(source.tabId).set(params.targetInfo.targetId, params.sessionId);
+      // Frames nested inside it are reported through its own session
+      sendCommand({ tabId: source.tabId, sessionId: params.sessionId }, 'Target.setAutoAttach', AUTO_ATTACH).catch(function() {});
+    } else if (method === 'Target.detachedFromTarget' && frameSessions.has(source.tabId)) {
+      const sessions = frameSessions.get(source.tabId);
+      sessions.forEach(function(sessionId, frameId) {
+        if (sessionId === params.sessionId) sessions.delete(frameId);
+      });
+    }
+  });
+
+  // Export functions to global scope for use in background.js
+  self.ComponentAuditorDebugger = {
+    attach: attach,
+    detach: detach,
+    sendCommand: sendCommand,
+    querySelector: querySelector,
+    getStyleSheetHeader: getStyleSheetHeader,
+    withDebugger: withDebugger
+  };
+})();
@@ -0,0 +1,448 @@
+/**
+ * Component Auditor - Framework & Library Detection
+ *
+ * A registry of detectors for UI frameworks, meta-frameworks, component
+ * libraries and styling systems. Each detector lists weighted signals found in
+ * the DOM (classes, attributes, style and script tags) or in page globals read
+ * from the page's own JavaScript world. Matched signals combine into a
+ * confidence score, and the evidence and any version found are reported.
+ */
+
+(function() {
+  'use strict';
+
+  // Elements scanned for class names, attribute names and tags
+  const MAX_SCANNED_ELEMENTS = 3000;
+
+  // Characters of each inline <style> read for markers and version banners
+  const MAX_STYLE_TEXT = 4000;
+
+  // Libraries at or above this confidence are listed in meta.frameworks
+  const REPORT_THRESHOLD = 0.5;
+
+  /**
+   * Build a signal that matches class names
+   * @param {string} evidence - Description reported when the signal matches
+   * @param {number} weight - Confidence contributed by the signal (0-1)
+   * @param {RegExp} pattern - Class name pattern
+   * @param {number} [minimum] - Distinct matching classes required (default 1)
+   * @returns {Object} - Signal
+   */
+  function classSignal(evidence, weight, pattern, minimum) {
+    return {
+      evidence: evidence,
+      weight: weight,
+      test: function(context) {
+        let count = 0;
+        for (const name of context.classes) {
+          if (pattern.test(name) && ++count >= (minimum || 1)) return true;
+        }
+        return false;
+      }
+    };
+  }
+
+  /**
+   * Build a signal that matches a selector in the document
+   * @param {string} evidence - Description reported when the signal matches
+   * @param {number} weight - Confidence contributed by the signal (0-1)
+   * @param {string} selector - CSS selector
+   * @param {Function} [version] - Reads a version from the matched element
+   * @returns {Object} - Signal
+   */
+  function selectorSignal(evidence, weight, selector, version) {
+    return {
+      evidence: evidence,
+      weight: weight,
+      test: function(context) {
+        const element = context.document.querySelector(selector);
+        if (!element) return false;
+        return (version && version(element)) || true;
+      }
+    };
+  }
+
+  /**
+   * Build a signal that reads a page global (resolved in the page's JavaScript world)
+   * @param {string} evidence - Description reported when the signal matches
+   * @param {number} weight - Confidence contributed by the signal (0-1)
+   * @param {string} path - Dotted global path (e.g. 'React.version')
+   * @param {boolean} [isVersion] - The global's value is the library version
+   * @returns {Object} - Signal
+   */
+  function globalSignal(evidence, weight, path, isVersion) {
+    return {
+      evidence: evidence,
+      weight: weight,
+      path: path,
+      test: function(context) {
+        const value = context.globals[path];
+        if (value === undefined || value === null || value === false) return false;
+        return isVersion && (typeof value === 'string' || typeof value === 'number') ? String(value) : true;
+      }
+    };
+  }
+
+  /**
+   * Build a signal that matches expando properties on page elements
+   * @param {string} evidence - Description reported when the signal matches
+   * @param {number} weight - Confidence contributed by the signal (0-1)
+   * @param {string} prefix - Property name prefix (framework keys often end in a random suffix)
+   * @returns {Object} - Signal
+   */
+  function expandoSignal(evidence, weight, prefix) {
+    return {
+      evidence: evidence,
+      weight: weight,
+      test: function(context) {
+        return context.expandos.some(function(key) { return key.startsWith(prefix); });
+      }
+    };
+  }
+
+  /**
+   * Build a signal that matches the text of inline <style> tags
+   * @param {string} evidence - Description reported when the signal matches
+   * @param {number} weight - Confidence contributed by the signal (0-1)
+   * @param {RegExp} pattern - Text pattern; its first capture group, if any, is the version
+   * @returns {Object} - Signal
+   */
+  function styleTextSignal(evidence, weight, pattern) {
+    return {
+      evidence: evidence,
+      weight: weight,
+      test: function(context) {
+        for (const text of context.styleTexts) {
+          const match = text.match(pattern);
+          if (match) return match[1] || true;
+        }
+        return false;
+      }
+    };
+  }
+
+  /**
+   * Build a signal that matches script URLs
+   * @param {string} evidence - Description reported when the signal matches
+   * @param {number} weight - Confidence contributed by the signal (0-1)
+   * @param {RegExp} pattern - Script src pattern
+   * @returns {Object} - Signal
+   */
+  function scriptSignal(evidence, weight, pattern) {
+    return {
+      evidence: evidence,
+      weight: weight,
+      test: function(context) {
+        return context.scriptSources.some(function(src) { return pattern.test(src); });
+      }
+    };
+  }
+
+  /**
+   * Read a version from an attribute of the matched element
+   * @param {string} name - Attribute name
+   * @returns {Function} - Version reader for selectorSignal
+   */
+  function attributeValue(name) {
+    return function(element) { return element.getAttribute(name) || true; };
+  }
+
+  // Detector registry: one entry per library, signals in order of reliability
+  const DETECTORS = [
+    {
+      name: 'React',
+      category: 'framework',
+      signals: [
+        globalSignal('window.React.version', 0.9, 'React.version', true),
+        globalSignal('renderer registered with the React DevTools hook', 0.9, '__REACT_DEVTOOLS_GLOBAL_HOOK__.renderers.version', true),
+        expandoSignal('__reactFiber$ / __reactContainer$ keys on DOM nodes', 0.95, '__react'),
+        selectorSignal('[data-reactroot] element', 0.7, '[data-reactroot]')
+      ]
+    },
+    {
+      name: 'Preact',
+      category: 'framework',
+      signals: [
+        globalSignal('window.preact', 0.9, 'preact'),
+        globalSignal('Preact DevTools hook', 0.8, '__PREACT_DEVTOOLS__'),
+        expandoSignal('__preactattr_ keys on DOM nodes (Preact 8)', 0.8, '__preactattr_')
+      ]
+    },
+    {
+      name: 'Vue',
+      category: 'framework',
+      signals: [
+        globalSignal('window.Vue.version', 0.9, 'Vue.version', true),
+        globalSignal('window.__VUE__ flag', 0.8, '__VUE__'),
+        expandoSignal('__vue_app__ on the mount container (Vue 3)', 0.95, '__vue_app__'),
+        expandoSignal('__vue__ instance on DOM nodes (Vue 2)', 0.95, '__vue__'),
+        expandoSignal('__vueParentComponent on DOM nodes', 0.95, '__vueParentComponent'),
+        selectorSignal('[data-v-app] mount container', 0.8, '[data-v-app]'),
+        {
+          evidence: 'scoped style attributes (data-v-*)',
+          weight: 0.7,
+          test: function(context) {
+            return context.attributes.some(function(name) { return /^data-v-[0-9a-f]{8}$/.test(name); });
+          }
+        }
+      ]
+    },
+    {
+      name: 'Angular',
+      category: 'framework',
+      signals: [
+        selectorSignal('ng-version attribute on the root component', 1, '[ng-version]', attributeValue('ng-version')),
+        expandoSignal('__ngContext__ on DOM nodes', 0.9, '__ngContext__'),
+        globalSignal('window.ng debugging API', 0.6, 'ng.getComponent')
+      ]
+    },
+    {
+      name: 'AngularJS',
+      category: 'framework',
+      signals: [
+        globalSignal('window.angular.version', 0.95, 'angular.version.full', true),
+        selectorSignal('ng-app / ng-controller directive', 0.8, '[ng-app], [data-ng-app], [ng-controller]'),
+        classSignal('ng-scope classes', 0.7, /^ng-scope$/)
+      ]
+    },
+    {
+      name: 'Svelte',
+      category: 'framework',
+      signals: [
+        globalSignal('window.__svelte versions', 0.9, '__svelte.v', true),
+        classSignal('svelte-<hash> scoped classes', 0.8, /^svelte-[a-z0-9]{5,}$/),
+        expandoSignal('__svelte_meta on DOM nodes (dev build)', 0.9, '__svelte_meta')
+      ]
+    },
+    {
+      name: 'Solid',
+      category: 'framework',
+      signals: [
+        globalSignal('window._$HY hydration registry', 0.9, '_$HY'),
+        selectorSignal('data-hk hydration keys', 0.7, '[data-hk]'),
+        expandoSignal('$$<event> delegated handlers on DOM nodes', 0.6, '$$')
+      ]
+    },
+    {
+      name: 'Next.js',
+      category: 'meta-framework',
+      signals: [
+        globalSignal('window.next.version', 0.95, 'next.version', true),
+        selectorSignal('__NEXT_DATA__ script', 0.95, 'script#__NEXT_DATA__'),
+        globalSignal('App Router flight data (self.__next_f)', 0.9, '__next_f'),
+        scriptSignal('scripts served from /_next/', 0.8, /\/_next\//),
+        selectorSignal('#__next root', 0.6, '#__next')
+      ]
+    },
+    {
+      name: 'Nuxt',
+      category: 'meta-framework',
+      signals: [
+        globalSignal('window.__NUXT__ payload', 0.9, '__NUXT__'),
+        selectorSignal('__NUXT_DATA__ script', 0.95, 'script#__NUXT_DATA__'),
+        scriptSignal('scripts served from /_nuxt/', 0.8, /\/_nuxt\//),
+        selectorSignal('#__nuxt root', 0.8, '#__nuxt')
+      ]
+    },
+    {
+      name: 'Remix',
+      category: 'meta-framework',
+      signals: [
+        globalSignal('window.__remixContext', 0.95, '__remixContext'),
+        globalSignal('window.__remixManifest', 0.9, '__remixManifest.version')
+      ]
+    },
+    {
+      name: 'Astro',
+      category: 'meta-framework',
+      signals: [
+        selectorSignal('generator meta tag', 1, 'meta[name="generator"][content^="Astro"]', function(element) {
+          const match = element.getAttribute('content').match(/v?(\d+\.\d+(?:\.\d+)?)/);
+          return match ? match[1] : true;
+        }),
+        selectorSignal('<astro-island> hydration boundaries', 0.95, 'astro-island, astro-slot'),
+        {
+          evidence: 'data-astro-cid-* scoped attributes',
+          weight: 0.9,
+          test: function(context) {
+            return context.attributes.some(function(name) { return name.startsWith('data-astro-cid-'); });
+          }
+        },
+        classSignal('astro-<hash> scoped classes', 0.7, /^astro-[a-z0-9]{8}$/i)
+      ]
+    },
+    {
+      name: 'MUI',
+      category: 'component-library',
+      signals: [
+        classSignal('Mui*-root component classes', 0.95, /^Mui[A-Z]\w*-root$/),
+        classSignal('css-<hash>-Mui* Emotion classes', 0.9, /^css-[a-z0-9]+-Mui[A-Z]/)
+      ]
+    },
+    {
+      name: 'Chakra UI',
+      category: 'component-library',
+      signals: [
+        classSignal('chakra-* component classes', 0.9, /^chakra-/),
+        styleTextSignal('--chakra-* theme variables', 0.9, /--chakra-/)
+      ]
+    },
+    {
+      name: 'Ant Design',
+      category: 'component-library',
+      signals: [
+        globalSignal('window.antd.version', 0.95, 'antd.version', true),
+        classSignal('ant-* component classes', 0.9, /^ant-(btn|layout|menu|row|col|input|form|table|select|modal|card|dropdown|tabs|space|typography)\b/, 2),
+        classSignal('css-dev-only-do-not-override-* theme classes', 0.9, /^css-dev-only-do-not-override-/)
+      ]
+    },
+    {
+      name: 'styled-components',
+      category: 'css-in-js',
+      signals: [
+        selectorSignal('<style data-styled> sheet', 0.95, 'style[data-styled]', function(element) {
+          return element.getAttribute('data-styled-version') || true;
+        }),
+        classSignal('sc-<hash> component classes', 0.7, /^sc-[a-zA-Z]{5,}$/, 2)
+      ]
+    },
+    {
+      name: 'Emotion',
+      category: 'css-in-js',
+      signals: [
+        selectorSignal('<style data-emotion> sheet', 0.95, 'style[data-emotion]'),
+        classSignal('css-<hash> generated classes', 0.6, /^css-[a-z0-9]{5,}(-[A-Za-z]\w*)?$/, 3)
+      ]
+    },
+    {
+      name: 'CSS Modules',
+      category: 'css',
+      signals: [
+        classSignal('[name]_[local]__[hash] classes (webpack / Next.js)', 0.7, /^[A-Za-z][\w-]*_[\w-]+__[\w-]{5}$/, 3),
+        classSignal('_[local]_[hash]_[line] classes (Vite)', 0.7, /^_[A-Za-z][\w-]*_[a-z0-9]{5,}_\d+$/, 3)
+      ]
+    },
+    {
+      name: 'Bootstrap',
+      category: 'css',
+      signals: [
+        globalSignal('window.bootstrap version', 0.95, 'bootstrap.Tooltip.VERSION', true),
+        selectorSignal('data-bs-* toggles (Bootstrap 5)', 0.8, '[data-bs-toggle]'),
+        classSignal('col-{breakpoint}-{n} grid classes', 0.7, /^col-(xs|sm|md|lg|xl|xxl)-\d{1,2}$/, 2),
+        classSignal('navbar-expand-* classes', 0.7, /^navbar-expand-(sm|md|lg|xl|xxl)$/),
+        classSignal('btn-{variant} classes', 0.5, /^btn-(primary|secondary|success|danger|warning|info|light|dark|outline-\w+)$/)
+      ]
+    },
+    {
+      name: 'Tailwind CSS',
+      category: 'css',
+      signals: [
+        styleTextSignal('tailwindcss banner in an inline stylesheet', 1, /tailwindcss v(\d+\.\d+\.\d+)/),
+        styleTextSignal('--tw-* utility variables', 0.9, /--tw-[a-z]/),
+        classSignal('responsive / state variant prefixes (md:, hover:)', 0.7, /^(sm|md|lg|xl|2xl|hover|focus|dark|group-hover):[a-z-]/, 3),
+        classSignal('arbitrary value utilities (w-[200px])', 0.6, /^[a-z-]+-\[[^\]]+\]$/, 2),
+        classSignal('palette color utilities (bg-blue-500)', 0.8, /^(bg|text|border|ring|fill|stroke)-(slate|gray|zinc|neutral|stone|red|orange|amber|yellow|lime|green|emerald|teal|cyan|sky|blue|indigo|violet|purple|fuchsia|pink|rose)-\d{2,3}$/, 3)
+      ]
+    }
+  ];
+
+  /**
+   * List every page global path the registry reads
+   * @returns {Array<string>} - Dotted paths to resolve in the page's JavaScript world
+   */
+  function getGlobalPaths() {
+    const paths = [];
+    DETECTORS.forEach(function(detector) {
+      detector.signals.forEach(function(signal) {
+        if (signal.path && !paths.includes(signal.path)) paths.push(signal.path);
+      });
+    });
+    return paths;
+  }
+
+  /**
+   * Collect class names, attribute names, style text and script URLs from the document
+   * @param {Document} doc - Document to scan
+   * @returns {Object} - Scan results shared by every detector
+   */
+  function scanDocument(doc) {
+    const classes = new Set();
+    const attributes = new Set();
+    const elements = doc.getElementsByTagName('*');
+    const limit = Math.min(elements.length, MAX_SCANNED_ELEMENTS);
+
+    for (let i = 0; i < limit; i++) {
+      const element = elements[i];
+      if (element.classList) element.classList.forEach(function(name) { classes.add(name); });
+      for (const attribute of element.attributes) {
+        if (attribute.name.startsWith('data-')) attributes.add(attribute.name);
+      }
+    }
+
+    return {
+      classes: classes,
+      attributes: Array.from(attributes),
+      styleTexts: Array.from(doc.querySelectorAll('style')).map(function(style) {
+        return (style.textContent || '').slice(0, MAX_STYLE_TEXT);
+      }),
+      scriptSources: Array.from(doc.querySelectorAll('script[src]')).map(function(script) {
+        return script.getAttribute('src');
+      })
+    };
+  }
+
+  /**
+   * Run every detector against the document and page globals
+   * @param {Document} doc - Document to inspect
+   * @param {Object} [pageState] - { globals: {path: value}, expandos: [property names] } from the page world
+   * @returns {Array<Object>} - [{name, category, version, confidence, evidence}] sorted by confidence
+   */
+  function detectLibraries(doc, pageState) {
+    const context = Object.assign(scanDocument(doc), {
+      document: doc,
+      globals: (pageState && pageState.globals) || {},
+      expandos: (pageState && pageState.expandos) || []
+    });
+
+    const libraries = [];
+    DETECTORS.forEach(function(detector) {
+      let missing = 1;
+      let version = null;
+      const evidence = [];
+
+      detector.signals.forEach(function(signal) {
+        let result = false;
+        try {
+          result = signal.test(context);
+        } catch (error) {
+          console.warn(`Component Auditor: ${detector.name} signal failed`, error);
+        }
+        if (!result) return;
+
+        // Independent signals combine like a noisy-OR
+        missing *= 1 - signal.weight;
+        evidence.push(signal.evidence);
+        if (typeof result === 'string' && !version) version = result;
+      });
+
+      if (evidence.length) {
+        libraries.push({
+          name: detector.name,
+          category: detector.category,
+          version: version,
+          confidence: Math.round((1 - missing) * 100) / 100,
+          evidence: evidence
+        });
+      }
+    });
+
+    return libraries.sort(function(a, b) { return b.confidence - a.confidence; });
+  }
+
+  // Export functions to global scope for use in content.js
+  window.ComponentAuditorLibraries = {
+    REPORT_THRESHOLD: REPORT_THRESHOLD,
+    getGlobalPaths: getGlobalPaths,
+    detectLibraries: detectLibraries
+  };
+})();
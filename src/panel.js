@@ -11,6 +11,30 @@
   let isSelectionMode = false;
   let port = null;
   let tabId = null;
+
+  // Capture Queue State (batch selections are captured one element at a time)
+  let captureQueue = [];
+  let completedCaptures = [];
+  let captureTotal = 0;
+
+  // Interaction Recording State
+  let isRecording = false;
+  let recordingPlayback = null;
+
+  // Screenshot variant badge groups (responsive, media) by container; each entry resets
+  // the group when another group changes the screenshot
+  const screenshotVariantGroups = new Map();
+
+  // Viewport widths used for responsive capture when none are configured (px)
+  const DEFAULT_BREAKPOINTS = [375, 768, 1280, 1920];
+
+  // Media emulation variants the debugger can capture, with their editor labels
+  const MEDIA_VARIANT_LABELS = {
+    "dark": "Dark",
+    "reduced-motion": "Reduced motion",
+    "forced-colors": "Forced colors",
+    "more-contrast": "More contrast",
+  };
   
   // Library State
   let allComponents = [];
@@ -118,6 +142,10 @@
         handleElementSelected(message);
         break;
 
+      case "ELEMENTS_SELECTED":
+        handleElementsSelected(message);
+        break;
+
       case "SELECTION_CANCELED":
         handleSelectionCanceled(message);
         break;
@@ -129,6 +157,30 @@
       case "SCREENSHOT_ERROR":
         handleScreenshotError(message);
         break;
+
+      case "ELEMENT_INSPECTED":
+        handleElementInspected(message);
+        break;
+
+      case "INSPECTION_ERROR":
+        handleInspectionError(message);
+        break;
+
+      case "SIMILAR_FOUND":
+        handleSimilarFound(message);
+        break;
+
+      case "RECORDING_STARTED":
+        handleRecordingStarted(message);
+        break;
+
+      case "RECORDING_COMPLETE":
+        handleRecordingComplete(message);
+        break;
+
+      case "RECORDING_ERROR":
+        handleRecordingError(message);
+        break;
     }
   }
 
@@ -138,18 +190,20 @@
     if (!isSelectionMode) {
       startSelectionMode();
     } else {
+      delete window.__CA_SIMILAR_LABELS__;
       stopSelectionMode();
     }
   }
 
   function startSelectionMode() {
+    delete window.__CA_SIMILAR_LABELS__;
     isSelectionMode = true;
     updateSelectionUI(true);
 
     if (!port) connectToBackground();
 
     if (port && tabId) {
-      port.postMessage({ type: "START_SELECTION", tabId: tabId });
+      port.postMessage({ type: "START_SELECTION", tabId: tabId, options: getCaptureOptions() });
     } else {
       showToast("Error: Could not start selection mode.", "error");
       isSelectionMode = false;
@@ -177,7 +231,7 @@
 
     if (statusMessage) {
       statusMessage.textContent = active 
-        ? "Hover over elements to highlight, then click to select. Press ESC to cancel." 
+        ? "Hover over elements to highlight, then click to select (Shift+click to build a batch). Use arrow keys to move to the parent (↑), first child (↓) or siblings (← →) and Enter to capture. Press ESC to cancel." 
         : "";
     }
   }
@@ -187,24 +241,107 @@
     showToast("Selection canceled", "default");
   }
 
-  function handleElementSelected(message) {
+  /**
+   * Highlight elements structurally similar to a saved capture so they can be
+   * bulk-captured; the saved labels pre-fill the editor for the new captures
+   * @param {Object} target - Capture ID and frame of the saved element
+   * @param {Object} labels - Semantic labels saved with the element
+   */
+  function findSimilarComponents(target, labels) {
+    if (!port || !tabId) {
+      showToast("Error: Connection lost.", "error");
+      return;
+    }
+
+    window.__CA_SIMILAR_LABELS__ = labels;
+    isSelectionMode = true;
+    updateSelectionUI(true);
+
+    const statusMessage = document.getElementById("status-message");
+    if (statusMessage) statusMessage.textContent = "Looking for similar components...";
+
+    port.postMessage({
+      type: "FIND_SIMILAR",
+      tabId: tabId,
+      captureId: target.captureId,
+      frameId: target.frameId,
+      options: getCaptureOptions(),
+    });
+  }
+
+  function handleSimilarFound(message) {
+    if (!message.count) {
+      delete window.__CA_SIMILAR_LABELS__;
+      stopSelectionMode();
+      showToast(message.error || "No similar components found", message.error ? "error" : "default");
+      return;
+    }
+
+    showToast(`Found ${message.count} similar component${message.count === 1 ? "" : "s"}`, "success");
     const statusMessage = document.getElementById("status-message");
-    if (statusMessage) statusMessage.textContent = `Element selected. Capturing screenshot...`;
+    if (statusMessage) {
+      statusMessage.textContent = `${message.count} similar components highlighted. Shift+click to add or remove matches, then press Enter or "Capture all". Press ESC to cancel.`;
+    }
+  }
+
+  function handleElementSelected(message) {
+    startCaptureQueue([message], message.frameId);
+  }
+
+  function handleElementsSelected(message) {
+    startCaptureQueue(message.elements || [], message.frameId);
+  }
 
+  /**
+   * Queue selected elements through screenshot, crop and inspection, one at a time
+   * @param {Array<Object>} elements - Selection payloads from the content script
+   * @param {number} frameId - Frame that holds the selected elements
+   */
+  function startCaptureQueue(elements, frameId) {
     stopSelectionMode();
 
-    window.__CA_PENDING_ELEMENT__ = {
-      element: message.element,
-      rect: message.rect,
-      code: message.code || {},
-      meta: message.meta || {},
-      guessedAtomicLevel: message.guessedAtomicLevel,
-    };
+    captureQueue = elements.map(function (element) {
+      return {
+        captureId: element.captureId,
+        element: element.element,
+        selector: element.selector,
+        frameId: frameId || 0,
+        rect: element.rect,
+        code: element.code || {},
+        meta: element.meta || {},
+        semantics: element.semantics || {},
+        guessedAtomicLevel: element.guessedAtomicLevel,
+      };
+    });
+    captureTotal = captureQueue.length;
+    completedCaptures = [];
+
+    captureNext();
+  }
+
+  function captureNext() {
+    const statusMessage = document.getElementById("status-message");
+    const pendingElement = captureQueue.shift();
+
+    if (!pendingElement) {
+      finishCapture();
+      return;
+    }
+
+    window.__CA_PENDING_ELEMENT__ = pendingElement;
+
+    if (statusMessage) {
+      statusMessage.textContent = captureTotal > 1
+        ? `Capturing component ${completedCaptures.length + 1} of ${captureTotal}...`
+        : `Element selected. Capturing screenshot...`;
+    }
 
     if (port && tabId) {
-      port.postMessage({ type: "CAPTURE_SCREENSHOT", tabId: tabId });
+      port.postMessage({ type: "CAPTURE_SCREENSHOT", tabId: tabId, rect: pendingElement.rect });
     } else {
       showToast("Error: Connection lost.", "error");
+      captureQueue = [];
+      delete window.__CA_PENDING_ELEMENT__;
     }
   }
 
@@ -217,34 +354,409 @@
       return;
     }
 
-    if (statusMessage) statusMessage.textContent = "Processing component...";
+    if (statusMessage && captureTotal <= 1) statusMessage.textContent = "Processing component...";
 
-    cropScreenshot(message.dataUrl, pendingElement.rect)
+    // Debugger captures arrive already clipped to the element's bounding box
+    const screenshot = message.cropped
+      ? Promise.resolve(message.dataUrl)
+      : cropScreenshot(message.dataUrl, pendingElement.rect);
+
+    screenshot
       .then(function (croppedDataUrl) {
-        window.__CA_COMPONENT_ID__ = null;
-        window.__CA_CROPPED_SCREENSHOT__ = croppedDataUrl;
-        window.__CA_EXTRACTED_CODE__ = pendingElement.code || {};
-        window.__CA_EXTRACTED_META__ = pendingElement.meta || {};
-        window.__CA_ELEMENT_RECT__ = pendingElement.rect || {};
-        window.__CA_ELEMENT_INFO__ = pendingElement.element || {};
-        window.__CA_GUESSED_ATOMIC_LEVEL__ = pendingElement.guessedAtomicLevel;
-
-        showEditor();
-        delete window.__CA_PENDING_ELEMENT__;
-        if (statusMessage) statusMessage.textContent = "";
+        pendingElement.screenshot = croppedDataUrl;
+        pendingElement.states = {
+          default: {
+            tokens: pendingElement.code?.tokens || {},
+            rect: pendingElement.rect || {},
+            screenshot_base64: croppedDataUrl,
+          },
+        };
+
+        inspectPendingElement(pendingElement);
       })
       .catch(function (error) {
         console.error("Panel: Error cropping screenshot", error);
         showToast("Error: Could not crop screenshot.", "error");
-        delete window.__CA_PENDING_ELEMENT__;
+        skipPendingElement();
       });
   }
 
-  function handleScreenshotError(message) {
-    showToast(`Error: ${message.error}`, "error");
+  function inspectPendingElement(pendingElement) {
+    const statusMessage = document.getElementById("status-message");
+
+    if (!pendingElement.selector || !port || !tabId) {
+      completePendingElement();
+      return;
+    }
+
+    if (statusMessage && captureTotal <= 1) statusMessage.textContent = "Inspecting component...";
+    port.postMessage({
+      type: "INSPECT_ELEMENT",
+      tabId: tabId,
+      selector: pendingElement.selector,
+      frameId: pendingElement.frameId,
+      captureId: pendingElement.captureId,
+      states: getCaptureOptions().states,
+      breakpoints: getCaptureOptions().breakpoints,
+      mediaVariants: getCaptureOptions().mediaVariants,
+    });
+  }
+
+  function handleElementInspected(message) {
+    const pendingElement = window.__CA_PENDING_ELEMENT__;
+    if (!pendingElement) return;
+
+    const inspection = message.inspection || {};
+    const failed = Object.keys(inspection.errors || {});
+    if (failed.length) {
+      console.warn("Panel: Some inspectors failed", inspection.errors);
+      showToast(`Partial capture: ${failed.join(", ")} unavailable`, "error");
+    }
+
+    if (inspection.eventListeners) {
+      pendingElement.semantics = {
+        ...pendingElement.semantics,
+        event_listeners: inspection.eventListeners,
+      };
+    }
+
+    if (inspection.matchedRules) {
+      pendingElement.code = {
+        ...pendingElement.code,
+        matchedRules: inspection.matchedRules,
+      };
+    }
+
+    if (inspection.accessibility) {
+      pendingElement.semantics = {
+        ...pendingElement.semantics,
+        accessibility: inspection.accessibility,
+      };
+    }
+
+    if (inspection.componentIdentity) {
+      pendingElement.meta = {
+        ...pendingElement.meta,
+        componentIdentity: inspection.componentIdentity,
+      };
+    }
+
+    if (inspection.tokenVariables) {
+      pendingElement.code = {
+        ...pendingElement.code,
+        tokens: annotateTokenVariables(pendingElement.code?.tokens, inspection.tokenVariables),
+        tokenVariables: inspection.tokenVariables,
+      };
+    }
+
+    if (inspection.responsive) {
+      pendingElement.responsive = inspection.responsive;
+    }
+
+    if (inspection.mediaVariants) {
+      pendingElement.variants = inspection.mediaVariants;
+    }
+
+    if (inspection.states) {
+      pendingElement.states = {
+        ...pendingElement.states,
+        ...inspection.states,
+      };
+    }
+
+    completePendingElement();
+  }
+
+  /**
+   * Record on each token the CSS custom property that produced it
+   *
+   * Color and font tokens are objects and carry the reference themselves.
+   * Spacing, border, shadow and opacity tokens are plain values, so their
+   * references go in tokens.variables, keyed by property (e.g., "padding-top").
+   * @param {Object} tokens - Root-level tokens from the content script
+   * @param {Object} tokenVariables - Variable usage by token property (from the debugger)
+   * @returns {Object} - Tokens with variable and fallbacks set where a var() was used
+   */
+  function annotateTokenVariables(tokens, tokenVariables) {
+    if (!tokens) return tokens;
+
+    const describe = (property) => {
+      const reference = tokenVariables[property]?.variables?.[0];
+      return reference
+        ? { variable: reference.name, fallbacks: reference.fallbacks, resolvedFrom: reference.resolvedFrom }
+        : null;
+    };
+    const annotate = (token) => ({ ...token, ...describe(token.type) });
+
+    const valueTokens = {
+      "border-radius": tokens.border?.radius,
+      "border-width": tokens.border?.width,
+      "box-shadow": tokens.shadows?.[0],
+      opacity: tokens.opacity,
+    };
+    ["padding", "margin"].forEach((box) => {
+      Object.entries(tokens.spacing?.[box] || {}).forEach(([side, value]) => {
+        valueTokens[`${box}-${side}`] = value;
+      });
+    });
+
+    const variables = {};
+    Object.keys(valueTokens).forEach((property) => {
+      const reference = valueTokens[property] && describe(property);
+      if (reference) variables[property] = reference;
+    });
+
+    return {
+      ...tokens,
+      colors: (tokens.colors || []).map(annotate),
+      fonts: (tokens.fonts || []).map(annotate),
+      ...(Object.keys(variables).length && { variables: variables }),
+    };
+  }
+
+  /**
+   * Match the capture's token values against the imported design token dictionary (if any)
+   * @param {Object} capture - Pending capture; its code block gains tokenRef fields and tokenMatches
+   */
+  function matchDesignTokens(capture) {
+    const dictionary = loadTokenDictionary();
+    if (!dictionary || !capture.code || !window.ComponentAuditorTokens) return;
+
+    try {
+      const tolerance = parseFloat(localStorage.getItem("ca_tokenLengthTolerance"));
+      capture.code = {
+        ...window.ComponentAuditorTokens.matchCode(capture.code, dictionary, tolerance),
+        tokenDictionary: dictionary.fileName,
+      };
+    } catch (error) {
+      console.warn("Panel: Design token matching failed", error);
+    }
+  }
+
+  /**
+   * Read the imported design token dictionary from settings
+   * @returns {Object|null} - Parsed dictionary ({fileName, format, tokens}) or null
+   */
+  function loadTokenDictionary() {
+    try {
+      return JSON.parse(localStorage.getItem("ca_tokenDictionary") || "null");
+    } catch (error) {
+      console.warn("Panel: Stored token dictionary is invalid", error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the redaction settings (detectors, value/script stripping, query param allowlist)
+   * @returns {Object|null} - Stored configuration, or null to use the defaults
+   */
+  function loadRedactionConfig() {
+    try {
+      return JSON.parse(localStorage.getItem("ca_redactionConfig") || "null");
+    } catch (error) {
+      console.warn("Panel: Stored redaction settings are invalid", error);
+      return null;
+    }
+  }
+
+  function handleInspectionError(message) {
+    if (!window.__CA_PENDING_ELEMENT__) return;
+
+    console.warn("Panel: Element inspection failed", message.error);
+    showToast(`Component inspection failed: ${message.error}`, "error");
+    completePendingElement();
+  }
+
+  function completePendingElement() {
+    matchDesignTokens(window.__CA_PENDING_ELEMENT__);
+    completedCaptures.push(window.__CA_PENDING_ELEMENT__);
+    delete window.__CA_PENDING_ELEMENT__;
+    captureNext();
+  }
+
+  function skipPendingElement() {
     delete window.__CA_PENDING_ELEMENT__;
+    captureNext();
+  }
+
+  /**
+   * Open the editor for the finished capture(s): a single component, or a batch sharing one set of labels
+   */
+  function finishCapture() {
     const statusMessage = document.getElementById("status-message");
     if (statusMessage) statusMessage.textContent = "";
+
+    if (completedCaptures.length === 0) return;
+
+    if (completedCaptures.length === 1) {
+      const capture = completedCaptures[0];
+      delete window.__CA_BATCH__;
+      window.__CA_COMPONENT_ID__ = null;
+      window.__CA_CROPPED_SCREENSHOT__ = capture.screenshot;
+      window.__CA_EXTRACTED_CODE__ = capture.code;
+      window.__CA_EXTRACTED_META__ = capture.meta;
+      window.__CA_EXTRACTED_SEMANTICS__ = capture.semantics;
+      window.__CA_ELEMENT_RECT__ = capture.rect || {};
+      window.__CA_ELEMENT_INFO__ = capture.element || {};
+      window.__CA_GUESSED_ATOMIC_LEVEL__ = capture.guessedAtomicLevel;
+      window.__CA_EXTRACTED_STATES__ = capture.states;
+      window.__CA_EXTRACTED_RESPONSIVE__ = capture.responsive;
+      window.__CA_EXTRACTED_VARIANTS__ = capture.variants;
+      window.__CA_CAPTURE_TARGET__ = { captureId: capture.captureId, frameId: capture.frameId };
+      delete window.__CA_RECORDING__;
+    } else {
+      window.__CA_BATCH__ = completedCaptures;
+    }
+
+    completedCaptures = [];
+    showEditor();
+  }
+
+  function handleScreenshotError(message) {
+    showToast(`Error: ${message.error}`, "error");
+    skipPendingElement();
+  }
+
+  // --- Interaction Recording ---
+
+  /**
+   * Start or stop recording the live component while the user interacts with it on the page
+   */
+  function toggleRecording() {
+    const target = window.__CA_CAPTURE_TARGET__;
+    if (!port || !tabId || !target) {
+      showToast("Error: The captured element is no longer available.", "error");
+      return;
+    }
+
+    if (isRecording) {
+      port.postMessage({ type: "STOP_RECORDING", tabId: tabId });
+      updateRecordingUI("stopping");
+      return;
+    }
+
+    port.postMessage({ type: "START_RECORDING", tabId: tabId, captureId: target.captureId, frameId: target.frameId });
+    updateRecordingUI("starting");
+  }
+
+  /**
+   * Reflect the recording state on the Record Interaction button
+   * @param {string} state - "idle", "starting", "recording" or "stopping"
+   */
+  function updateRecordingUI(state) {
+    const wasRecording = isRecording;
+    isRecording = state === "recording" || state === "starting";
+    const recordBtn = document.getElementById("record-interaction-btn");
+    const statusMessage = document.getElementById("status-message");
+    if (recordBtn) {
+      recordBtn.textContent = isRecording ? "Stop Recording" : "Record Interaction";
+      recordBtn.classList.toggle("active", isRecording);
+      recordBtn.disabled = state === "starting" || state === "stopping";
+    }
+    if (statusMessage && (state === "recording" || wasRecording)) {
+      statusMessage.textContent = state === "recording" ? "Recording... interact with the component on the page" : "";
+    }
+  }
+
+  function handleRecordingStarted(message) {
+    // The editor was closed before the screencast started
+    if (window.__CA_CAPTURE_TARGET__?.captureId !== message.captureId) {
+      port?.postMessage({ type: "STOP_RECORDING", tabId: tabId });
+      return;
+    }
+
+    updateRecordingUI("recording");
+    showToast(`Recording for up to ${Math.round(message.maxDuration / 1000)}s - interact with the component`);
+  }
+
+  function handleRecordingComplete(message) {
+    updateRecordingUI("idle");
+    // The editor may have moved on to another capture while the frames were encoded
+    if (window.__CA_CAPTURE_TARGET__?.captureId !== message.captureId) return;
+
+    if (!message.recording.frames.length) {
+      showToast("No frames were recorded", "error");
+      return;
+    }
+
+    window.__CA_RECORDING__ = message.recording;
+    showRecording(message.recording);
+    renderMotion(document.getElementById("readonly-motion"), message.recording);
+    showToast(`Recorded ${message.recording.frames.length} frames`, "success");
+  }
+
+  function handleRecordingError(message) {
+    updateRecordingUI("idle");
+    console.warn("Panel: Recording failed", message.error);
+    showToast(`Recording failed: ${message.error}`, "error");
+  }
+
+  /**
+   * Play a recording back next to the screenshot, looping with the recorded timing
+   * @param {Object|undefined} recording - Recording from visuals.recording (hides the preview if missing)
+   */
+  function showRecording(recording) {
+    const preview = document.getElementById("recording-preview");
+    clearTimeout(recordingPlayback);
+    recordingPlayback = null;
+    if (!preview) return;
+
+    const frames = recording?.frames || [];
+    preview.style.display = frames.length ? "" : "none";
+    if (!frames.length) {
+      preview.src = "";
+      return;
+    }
+
+    const showFrame = (index) => {
+      preview.src = frames[index].dataUrl;
+      const next = (index + 1) % frames.length;
+      // Hold the last frame before looping so the end state is visible
+      const wait = next === 0 ? 1000 : frames[next].time - frames[index].time;
+      recordingPlayback = setTimeout(() => showFrame(next), Math.max(wait, 16));
+    };
+    showFrame(0);
+  }
+
+  /**
+   * Summarize the transitions and animations in effect while recording
+   * @param {Element} container - Read-only value element
+   * @param {Object|undefined} recording - Recording from visuals.recording
+   */
+  function renderMotion(container, recording) {
+    if (!container) return;
+    container.innerHTML = "";
+    if (!recording) {
+      container.textContent = "Not recorded";
+      return;
+    }
+
+    const motion = recording.motion || [];
+    if (!motion.length) {
+      container.textContent = `${recording.frames.length} frames (${(recording.duration / 1000).toFixed(1)}s), no CSS transitions or animations`;
+      return;
+    }
+
+    container.textContent = `${recording.frames.length} frames (${(recording.duration / 1000).toFixed(1)}s)`;
+    const badges = document.createElement("div");
+    badges.className = "token-badges";
+    motion.forEach((entry) => {
+      entry.transitions.forEach((transition) => {
+        const badge = document.createElement("span");
+        badge.className = "token-badge";
+        badge.textContent = `${transition.property} ${transition.duration}`;
+        badge.title = `${entry.path}: transition ${transition.property} ${transition.duration} ${transition.timingFunction} ${transition.delay}`;
+        badges.appendChild(badge);
+      });
+      entry.animations.forEach((animation) => {
+        const badge = document.createElement("span");
+        badge.className = "token-badge";
+        badge.textContent = `@${animation.name} ${animation.duration}`;
+        badge.title = `${entry.path}: animation ${animation.name} ${animation.duration} ${animation.timingFunction} ${animation.delay} ${animation.iterationCount} ${animation.direction} ${animation.fillMode}`;
+        badges.appendChild(badge);
+      });
+    });
+    container.appendChild(badges);
   }
 
   // --- View Management ---
@@ -306,6 +818,12 @@
   }
 
   function hideEditor() {
+    if (isRecording && port && tabId) {
+      port.postMessage({ type: "STOP_RECORDING", tabId: tabId });
+    }
+    updateRecordingUI("idle");
+    showRecording(null);
+
     document.getElementById("empty-state").style.display = "flex";
     document.getElementById("editor-container").classList.remove("active");
     document.getElementById("component-form")?.reset();
@@ -317,6 +835,13 @@
     delete window.__CA_EXTRACTED_META__;
     delete window.__CA_ELEMENT_RECT__;
     delete window.__CA_ELEMENT_INFO__;
+    delete window.__CA_EXTRACTED_STATES__;
+    delete window.__CA_EXTRACTED_RESPONSIVE__;
+    delete window.__CA_EXTRACTED_VARIANTS__;
+    delete window.__CA_RECORDING__;
+    delete window.__CA_EXTRACTED_SEMANTICS__;
+    delete window.__CA_BATCH__;
+    delete window.__CA_CAPTURE_TARGET__;
   }
 
   // --- Library Logic ---
@@ -651,12 +1176,51 @@
     const readonlySize = document.getElementById("readonly-size");
     const readonlyFont = document.getElementById("readonly-font");
     const readonlyUrl = document.getElementById("readonly-url");
+    const readonlyStates = document.getElementById("readonly-states");
+    const readonlyEvents = document.getElementById("readonly-events");
+    const readonlyInventory = document.getElementById("readonly-inventory");
+    const readonlyComposition = document.getElementById("readonly-composition");
+    const readonlyTokenMatches = document.getElementById("readonly-token-matches");
+    const readonlyAccessibility = document.getElementById("readonly-accessibility");
+    const readonlyRedaction = document.getElementById("readonly-redaction");
+    const readonlyComponent = document.getElementById("readonly-component");
+    const readonlyLibraries = document.getElementById("readonly-libraries");
+    const readonlyResponsive = document.getElementById("readonly-responsive");
+    const readonlyMediaVariants = document.getElementById("readonly-media-variants");
+    const readonlyMotion = document.getElementById("readonly-motion");
+    const extractedSemantics = window.__CA_EXTRACTED_SEMANTICS__ || {};
 
     const croppedScreenshot = window.__CA_CROPPED_SCREENSHOT__;
     const codeData = window.__CA_EXTRACTED_CODE__ || {};
     const metaData = window.__CA_EXTRACTED_META__ || {};
     const elementRect = window.__CA_ELEMENT_RECT__ || {};
 
+    const batch = window.__CA_BATCH__;
+    const batchGallery = document.getElementById("batch-gallery");
+    const captureSimilarBtn = document.getElementById("capture-similar-btn");
+    if (screenshotImg) screenshotImg.style.display = batch ? "none" : "";
+    // Similar elements can only be searched for while the captured element is still live
+    if (captureSimilarBtn) captureSimilarBtn.style.display = window.__CA_CAPTURE_TARGET__ && !batch ? "" : "none";
+    // Interactions can likewise only be recorded on the live element
+    const recordBtn = document.getElementById("record-interaction-btn");
+    if (recordBtn) {
+      recordBtn.style.display = window.__CA_CAPTURE_TARGET__ && !batch ? "" : "none";
+      recordBtn.onclick = toggleRecording;
+    }
+    showRecording(batch ? null : window.__CA_RECORDING__);
+    if (batchGallery) {
+      batchGallery.innerHTML = "";
+      batchGallery.style.display = batch ? "grid" : "none";
+    }
+
+    setupPortablePreview(batch ? null : codeData.portableHtml);
+
+    if (batch) {
+      populateBatchEditor(batch);
+      applySimilarLabels();
+      return;
+    }
+
     if (screenshotImg && croppedScreenshot) screenshotImg.src = croppedScreenshot;
 
     if (codeViewer) {
@@ -679,6 +1243,76 @@
       readonlyUrl.textContent = (metaData.domain || "") + (metaData.route || "");
     }
 
+    if (readonlyComponent) {
+      const identity = metaData.componentIdentity;
+      readonlyComponent.textContent = identity?.name
+        ? `${identity.framework} <${identity.name}>${identity.ownerChain?.length ? ` in ${identity.ownerChain.join(" › ")}` : ""}`
+        : "N/A";
+      readonlyComponent.title = identity?.source?.file ? `${identity.source.file}${identity.source.line ? `:${identity.source.line}` : ""}` : "";
+    }
+
+    if (readonlyLibraries) {
+      renderLibraries(readonlyLibraries, metaData.libraries);
+    }
+
+    if (readonlyResponsive) {
+      renderScreenshotVariants(readonlyResponsive, window.__CA_EXTRACTED_RESPONSIVE__, (width) => `${width}px`, croppedScreenshot);
+    }
+
+    if (readonlyMediaVariants) {
+      renderScreenshotVariants(readonlyMediaVariants, window.__CA_EXTRACTED_VARIANTS__, (name) => MEDIA_VARIANT_LABELS[name] || name, croppedScreenshot);
+    }
+
+    renderMotion(readonlyMotion, window.__CA_RECORDING__);
+
+    if (readonlyStates) {
+      const states = Object.keys(window.__CA_EXTRACTED_STATES__ || {});
+      readonlyStates.textContent = states.length ? states.join(", ") : "N/A";
+    }
+
+    if (readonlyEvents) {
+      const listeners = extractedSemantics.event_listeners || [];
+      const own = [...new Set(listeners.filter((l) => !l.delegated).map((l) => l.type))];
+      const delegated = [...new Set(listeners.filter((l) => l.delegated).map((l) => l.type))];
+      readonlyEvents.textContent = listeners.length
+        ? `${own.join(", ") || "none"} (delegated: ${delegated.join(", ") || "none"})`
+        : "N/A";
+    }
+
+    if (readonlyInventory) {
+      const inventory = extractedSemantics.inventory || {};
+      const counts = Object.keys(inventory)
+        .filter((key) => inventory[key] > 0)
+        .map((key) => `${inventory[key]} ${key.replace("_", " ")}`);
+      readonlyInventory.textContent = counts.length ? counts.join(", ") : "N/A";
+    }
+
+    if (readonlyComposition) {
+      readonlyComposition.textContent = extractedSemantics.composition_tree || "N/A";
+    }
+
+    if (readonlyTokenMatches) {
+      renderTokenMatches(readonlyTokenMatches, codeData.tokenMatches);
+    }
+
+    if (readonlyRedaction) {
+      renderRedactionReport(readonlyRedaction, [{ code: codeData, meta: metaData }]);
+    }
+
+    if (readonlyAccessibility) {
+      const a11y = extractedSemantics.accessibility;
+      if (a11y) {
+        const focus = a11y.focusable ? `focusable${a11y.tabOrder ? ` (tab #${a11y.tabOrder})` : ""}` : "not focusable";
+        const landmark = a11y.landmarks?.length ? `in ${a11y.landmarks[0].role}` : "no landmark";
+        const problems = a11y.problems?.length
+          ? `${a11y.problems.length} problem(s): ${[...new Set(a11y.problems.map((p) => p.type))].join(", ")}`
+          : "no problems found";
+        readonlyAccessibility.textContent = `${a11y.role || "none"} "${a11y.name}" · ${focus} · ${landmark} · ${problems}`;
+      } else {
+        readonlyAccessibility.textContent = "N/A";
+      }
+    }
+
     // Semantic Pre-fill
     const atomicLevelSelect = document.getElementById("atomic-level");
     if (atomicLevelSelect) {
@@ -688,11 +1322,259 @@
       if (defaultLevel === "auto" && guessed) atomicLevelSelect.value = guessed;
       else if (defaultLevel !== "auto") atomicLevelSelect.value = defaultLevel;
     }
+
+    const stateInput = document.getElementById("component-state");
+    if (stateInput) {
+      stateInput.value = window.__CA_EXTRACTED_SEMANTICS__?.state || "Default";
+    }
+
+    // The owning framework component's name is the best available type label
+    const componentTypeInput = document.getElementById("component-type");
+    if (componentTypeInput && !componentTypeInput.value && metaData.componentIdentity?.name) {
+      componentTypeInput.value = metaData.componentIdentity.name;
+    }
+
+    applySimilarLabels();
+  }
+
+  /**
+   * Pre-fill the form with the labels of the component whose similar elements were just captured
+   */
+  function applySimilarLabels() {
+    const labels = window.__CA_SIMILAR_LABELS__;
+    if (!labels) return;
+    delete window.__CA_SIMILAR_LABELS__;
+
+    const fields = {
+      "component-type": labels.component_type,
+      "atomic-level": labels.atomic_level,
+      "design-pattern": labels.design_pattern,
+      "interaction-pattern": labels.interaction_pattern,
+      notes: labels.notes,
+    };
+    Object.keys(fields).forEach((id) => {
+      const el = document.getElementById(id);
+      if (el && fields[id]) el.value = fields[id];
+    });
+  }
+
+  /**
+   * Offer a sandboxed iframe preview of the portable HTML snapshot next to the code view
+   * @param {string|null} portableHtml - Standalone snapshot document, if one was captured
+   */
+  function setupPortablePreview(portableHtml) {
+    const toggle = document.getElementById("portable-preview-toggle");
+    const preview = document.getElementById("portable-preview");
+    const codeViewer = document.getElementById("code-viewer");
+    const title = document.getElementById("code-section-title");
+    if (!toggle || !preview || !codeViewer) return;
+
+    const showPreview = (visible) => {
+      preview.style.display = visible ? "" : "none";
+      codeViewer.style.display = visible ? "none" : "";
+      toggle.textContent = visible ? "Show Code" : "Show Preview";
+      if (title) title.textContent = visible ? "Portable Preview" : "HTML Code";
+    };
+
+    preview.srcdoc = portableHtml || "";
+    toggle.style.display = portableHtml ? "" : "none";
+    toggle.onclick = () => showPreview(preview.style.display === "none");
+    showPreview(false);
+  }
+
+  /**
+   * Show matched / off-system badges for each token compared against the dictionary
+   * @param {Element} container - Read-only value element
+   * @param {Object} tokenMatches - Summary from design token matching
+   */
+  function renderTokenMatches(container, tokenMatches) {
+    container.innerHTML = "";
+    if (!tokenMatches) {
+      container.textContent = "No token dictionary loaded";
+      return;
+    }
+
+    container.textContent = `${tokenMatches.matched} matched / ${tokenMatches.offSystem} off-system`;
+    const badges = document.createElement("div");
+    badges.className = "token-badges";
+    tokenMatches.entries.forEach((entry) => {
+      const badge = document.createElement("span");
+      badge.className = `token-badge ${entry.tokenRef ? "matched" : "off-system"}`;
+      badge.textContent = `${entry.property}: ${entry.tokenRef || entry.value}`;
+      badge.title = entry.tokenRef
+        ? `${entry.value} → ${entry.tokenRef} (distance ${entry.distance})`
+        : `Off-system: nearest token ${entry.nearest} (distance ${entry.distance})`;
+      badges.appendChild(badge);
+    });
+    container.appendChild(badges);
+  }
+
+  /**
+   * List screenshot variants (breakpoints, media emulation); clicking one shows its
+   * screenshot in place of the default capture
+   * @param {Element} container - Read-only value element
+   * @param {Object} variants - Variant captures by name
+   * @param {Function} describe - Maps (name, capture) to the badge label
+   * @param {string} defaultScreenshot - Screenshot from the default capture
+   */
+  function renderScreenshotVariants(container, variants, describe, defaultScreenshot) {
+    container.innerHTML = "";
+    screenshotVariantGroups.delete(container);
+    const names = Object.keys(variants || {});
+    if (!names.length) {
+      container.textContent = "Not captured";
+      return;
+    }
+
+    const screenshotImg = document.getElementById("screenshot-img");
+    const badges = document.createElement("div");
+    badges.className = "token-badges";
+    const setActive = (active) => {
+      badges.querySelectorAll(".variant-badge").forEach((badge) => badge.classList.toggle("active", badge === active));
+    };
+
+    const addBadge = (label, title, screenshot) => {
+      const badge = document.createElement("button");
+      badge.type = "button";
+      badge.className = `token-badge variant-badge${screenshot === defaultScreenshot ? " active" : ""}`;
+      badge.textContent = label;
+      badge.title = title;
+      badge.disabled = !screenshot;
+      badge.addEventListener("click", () => {
+        if (screenshotImg) screenshotImg.src = screenshot;
+        setActive(badge);
+        screenshotVariantGroups.forEach((reset, other) => {
+          if (other !== container) reset(screenshot === defaultScreenshot);
+        });
+      });
+      badges.appendChild(badge);
+      return badge;
+    };
+
+    const defaultBadge = addBadge("Default", "Screenshot from the default capture", defaultScreenshot);
+    // The default badge stays active only while the default screenshot is shown
+    screenshotVariantGroups.set(container, (showingDefault) => setActive(showingDefault ? defaultBadge : null));
+    names.forEach((name) => {
+      const capture = variants[name];
+      const size = capture.rect ? `${Math.round(capture.rect.width)} × ${Math.round(capture.rect.height)}px` : "";
+      const title = capture.error || (capture.hidden ? "Not rendered in this variant" : size);
+      addBadge(`${describe(name, capture)}${capture.hidden ? " (hidden)" : ""}`, title, capture.screenshot_base64);
+    });
+    container.appendChild(badges);
+  }
+
+  /**
+   * List detected libraries with version and confidence; evidence is shown on hover
+   * @param {Element} container - Read-only value element
+   * @param {Array<Object>} libraries - Detections from meta.libraries
+   */
+  function renderLibraries(container, libraries) {
+    container.innerHTML = "";
+    if (!libraries?.length) {
+      container.textContent = "None detected";
+      return;
+    }
+
+    const badges = document.createElement("div");
+    badges.className = "token-badges";
+    libraries.forEach((library) => {
+      const badge = document.createElement("span");
+      badge.className = "token-badge";
+      badge.textContent = `${library.name}${library.version ? ` ${library.version}` : ""} · ${Math.round(library.confidence * 100)}%`;
+      badge.title = library.evidence.join("\n");
+      badges.appendChild(badge);
+    });
+    container.appendChild(badges);
+  }
+
+  /**
+   * Describe what redaction will remove from the captures when they are saved
+   * @param {Element} container - Read-only value element
+   * @param {Array<Object>} captures - Captures with code and meta
+   */
+  function renderRedactionReport(container, captures) {
+    const labels = { email: "email", phone: "phone", card: "card number", jwt: "JWT", value: "form value", script: "script", queryParam: "query param" };
+    const config = loadRedactionConfig();
+    const counts = {};
+    const fields = {};
+
+    captures.forEach((capture) => {
+      const { report } = window.ComponentAuditorRedaction.redactRecord(capture, config);
+      Object.entries(report.counts).forEach(([type, count]) => (counts[type] = (counts[type] || 0) + count));
+      report.fields.forEach(({ field, count }) => (fields[field] = (fields[field] || 0) + count));
+    });
+
+    const summary = Object.entries(counts).map(([type, count]) => `${count} ${labels[type] || type}${count > 1 ? "s" : ""}`);
+    container.textContent = summary.length ? `Will redact ${summary.join(", ")}` : "Nothing to redact";
+    container.title = Object.entries(fields)
+      .map(([field, count]) => `${field}: ${count}`)
+      .join("\n");
+  }
+
+  /**
+   * Populate the editor for a batch: thumbnails of every capture, shared labels in the form
+   * @param {Array<Object>} batch - Completed captures
+   */
+  function populateBatchEditor(batch) {
+    const batchGallery = document.getElementById("batch-gallery");
+    const codeViewer = document.getElementById("code-viewer");
+    const first = batch[0] || {};
+
+    if (batchGallery) {
+      batch.forEach((capture, index) => {
+        const img = document.createElement("img");
+        img.src = capture.screenshot;
+        img.alt = `Component ${index + 1}`;
+        img.title = `${index + 1}. ${capture.element?.tagName?.toLowerCase() || "element"} (${Math.round(capture.rect?.width || 0)} × ${Math.round(capture.rect?.height || 0)})`;
+        batchGallery.appendChild(img);
+      });
+    }
+
+    if (codeViewer) {
+      codeViewer.textContent = batch
+        .map((capture, index) => {
+          const html = capture.code?.html || "";
+          return `<!-- ${index + 1} of ${batch.length} -->\n${html.length > 1000 ? html.substring(0, 1000) + "\n... (truncated)" : html}`;
+        })
+        .join("\n\n");
+    }
+
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    setText("readonly-size", `Batch of ${batch.length} components`);
+    setText("readonly-url", (first.meta?.domain || "") + (first.meta?.route || ""));
+    const readonlyLibraries = document.getElementById("readonly-libraries");
+    if (readonlyLibraries) renderLibraries(readonlyLibraries, first.meta?.libraries);
+    ["readonly-font", "readonly-states", "readonly-events", "readonly-inventory", "readonly-composition", "readonly-token-matches", "readonly-accessibility", "readonly-component", "readonly-responsive", "readonly-media-variants"].forEach((id) =>
+      setText(id, "Varies per component")
+    );
+    const readonlyRedaction = document.getElementById("readonly-redaction");
+    if (readonlyRedaction) renderRedactionReport(readonlyRedaction, batch);
+
+    // Pre-fill the most common guessed atomic level
+    const atomicLevelSelect = document.getElementById("atomic-level");
+    if (atomicLevelSelect) {
+      const defaultLevel = localStorage.getItem("ca_defaultAtomicLevel") || "auto";
+      const guesses = batch.map((capture) => capture.guessedAtomicLevel).filter(Boolean);
+      const guessed = guesses.sort(
+        (a, b) => guesses.filter((g) => g === b).length - guesses.filter((g) => g === a).length
+      )[0];
+
+      if (defaultLevel === "auto" && guessed) atomicLevelSelect.value = guessed;
+      else if (defaultLevel !== "auto") atomicLevelSelect.value = defaultLevel;
+    }
+
+    // Leave State empty so each component keeps its own detected state unless overridden
+    const stateInput = document.getElementById("component-state");
+    if (stateInput) stateInput.value = "";
   }
 
   function setupFormHandlers() {
     const saveBtn = document.getElementById("save-btn");
     const cancelBtn = document.getElementById("cancel-btn");
+    const captureSimilarBtn = document.getElementById("capture-similar-btn");
     const atomicLevelSelect = document.getElementById("atomic-level");
 
     if (cancelBtn) {
@@ -706,7 +1588,13 @@
     if (saveBtn) {
       const newSaveBtn = saveBtn.cloneNode(true);
       saveBtn.parentNode.replaceChild(newSaveBtn, saveBtn);
-      newSaveBtn.addEventListener("click", handleSave);
+      newSaveBtn.addEventListener("click", () => handleSave(false));
+    }
+
+    if (captureSimilarBtn) {
+      const newCaptureSimilarBtn = captureSimilarBtn.cloneNode(true);
+      captureSimilarBtn.parentNode.replaceChild(newCaptureSimilarBtn, captureSimilarBtn);
+      newCaptureSimilarBtn.addEventListener("click", () => handleSave(true));
     }
 
     if (atomicLevelSelect) {
@@ -735,45 +1623,70 @@
     return true;
   }
 
-  function handleSave() {
+  /**
+   * Validate and save the component(s) in the editor
+   * @param {boolean} captureSimilar - Afterwards, highlight similar elements to capture with the same labels
+   */
+  function handleSave(captureSimilar) {
     if (!validateField("atomic-level")) {
       showToast("Please fill in required fields", "error");
       return;
     }
 
-    const componentData = {
-      id: window.__CA_COMPONENT_ID__ || generateUUID(),
-      label: generateLabel(document.getElementById("component-type")?.value),
-      meta: {
-        ...window.__CA_EXTRACTED_META__,
-        timestamp: new Date().toISOString(),
-      },
-      visuals: {
-        screenshot_base64: window.__CA_CROPPED_SCREENSHOT__,
-        dimensions: window.__CA_ELEMENT_RECT__,
-      },
-      code: window.__CA_EXTRACTED_CODE__ || {},
-      semantics: {
-        component_type: document.getElementById("component-type")?.value,
-        atomic_level: document.getElementById("atomic-level")?.value,
-        design_pattern: document.getElementById("design-pattern")?.value,
-        interaction_pattern: document.getElementById("interaction-pattern")?.value,
-        notes: document.getElementById("notes")?.value,
-      },
+    const formSemantics = {
+      component_type: document.getElementById("component-type")?.value,
+      atomic_level: document.getElementById("atomic-level")?.value,
+      design_pattern: document.getElementById("design-pattern")?.value,
+      interaction_pattern: document.getElementById("interaction-pattern")?.value,
+      state: document.getElementById("component-state")?.value,
+      notes: document.getElementById("notes")?.value,
     };
 
+    // Batches apply the shared labels to every capture; an empty State keeps each detected state
+    const batch = window.__CA_BATCH__;
+    if (batch && !formSemantics.state?.trim()) {
+      delete formSemantics.state;
+    }
+
+    const captures = batch || [{
+      id: window.__CA_COMPONENT_ID__,
+      screenshot: window.__CA_CROPPED_SCREENSHOT__,
+      rect: window.__CA_ELEMENT_RECT__,
+      element: window.__CA_ELEMENT_INFO__,
+      code: window.__CA_EXTRACTED_CODE__,
+      meta: window.__CA_EXTRACTED_META__,
+      semantics: window.__CA_EXTRACTED_SEMANTICS__,
+      states: window.__CA_EXTRACTED_STATES__,
+      responsive: window.__CA_EXTRACTED_RESPONSIVE__,
+      variants: window.__CA_EXTRACTED_VARIANTS__,
+      recording: window.__CA_RECORDING__,
+    }];
+
+    // Personal data and secrets are scrubbed before anything reaches storage
+    const redactionConfig = loadRedactionConfig();
+    const records = captures.map(
+      (capture) => window.ComponentAuditorRedaction.redactRecord(buildComponentData(capture, formSemantics), redactionConfig).record
+    );
+
     try {
-      validateSchema(componentData);
+      records.forEach(validateSchema);
     } catch (e) {
       showToast("Validation Error: " + e.message, "error");
       return;
     }
 
+    const similarTarget = captureSimilar ? window.__CA_CAPTURE_TARGET__ : null;
+
     if (window.ComponentAuditorDB?.save) {
-      window.ComponentAuditorDB.save(componentData)
+      Promise.all(records.map((record) => window.ComponentAuditorDB.save(record)))
         .then(() => {
-          showToast("Saved!", "success");
+          showToast(records.length > 1 ? `Saved ${records.length} components!` : "Saved!", "success");
           loadLibrary();
+          if (similarTarget) {
+            hideEditor();
+            findSimilarComponents(similarTarget, formSemantics);
+            return;
+          }
           setTimeout(() => {
             hideEditor();
             showLibraryView();
@@ -783,13 +1696,50 @@
     }
   }
 
+  /**
+   * Build a component record from a capture and the labels entered in the form
+   * @param {Object} capture - Captured data (screenshot, rect, element, code, meta, semantics, states)
+   * @param {Object} formSemantics - Semantic labels from the editor form
+   * @returns {Object} - Component record in the dataset schema
+   */
+  function buildComponentData(capture, formSemantics) {
+    return {
+      id: capture.id || generateUUID(),
+      label: generateLabel(formSemantics.component_type, capture.element),
+      meta: {
+        ...capture.meta,
+        timestamp: new Date().toISOString(),
+      },
+      visuals: {
+        screenshot_base64: capture.screenshot,
+        dimensions: capture.rect,
+        ...(capture.recording && { recording: capture.recording }),
+      },
+      code: capture.code || {},
+      states: capture.states || {},
+      ...(capture.responsive && { responsive: capture.responsive }),
+      ...(capture.variants && { variants: capture.variants }),
+      semantics: {
+        ...capture.semantics,
+        ...formSemantics,
+      },
+    };
+  }
+
   function loadComponentIntoEditor(component) {
+    delete window.__CA_BATCH__;
+    delete window.__CA_CAPTURE_TARGET__;
     window.__CA_COMPONENT_ID__ = component.id;
     window.__CA_CROPPED_SCREENSHOT__ = component.visuals?.screenshot_base64;
     window.__CA_EXTRACTED_CODE__ = component.code;
     window.__CA_EXTRACTED_META__ = component.meta;
     window.__CA_ELEMENT_RECT__ = component.visuals?.dimensions;
     window.__CA_ELEMENT_INFO__ = { tagName: component.label?.split("-")[0] };
+    window.__CA_EXTRACTED_STATES__ = component.states;
+    window.__CA_EXTRACTED_RESPONSIVE__ = component.responsive;
+    window.__CA_EXTRACTED_VARIANTS__ = component.variants;
+    window.__CA_RECORDING__ = component.visuals?.recording;
+    window.__CA_EXTRACTED_SEMANTICS__ = component.semantics;
 
     showEditor();
 
@@ -830,8 +1780,8 @@
     });
   }
 
-  function generateLabel(componentType) {
-    const info = window.__CA_ELEMENT_INFO__ || {};
+  function generateLabel(componentType, elementInfo) {
+    const info = elementInfo || window.__CA_ELEMENT_INFO__ || {};
     const base = componentType?.trim() || info.tagName?.toLowerCase() || "element";
     const suffix = info.id ? `-${info.id}` : (info.className?.split(" ")[0] ? `-${info.className.split(" ")[0]}` : "");
     return base + suffix;
@@ -901,6 +1851,17 @@
     document.getElementById("settings-save-btn")?.addEventListener("click", () => {
       localStorage.setItem("ca_defaultAtomicLevel", document.getElementById("default-atomic-level")?.value);
       localStorage.setItem("ca_customComponentTypes", document.getElementById("custom-component-types")?.value);
+      localStorage.setItem("ca_captureComputedStyle", String(!!document.getElementById("capture-computed-style")?.checked));
+      localStorage.setItem("ca_capturePortableSnapshot", String(!!document.getElementById("capture-portable-snapshot")?.checked));
+      localStorage.setItem("ca_captureStates", String(!!document.getElementById("capture-states")?.checked));
+      localStorage.setItem("ca_captureResponsive", String(!!document.getElementById("capture-responsive")?.checked));
+      localStorage.setItem("ca_responsiveBreakpoints", document.getElementById("responsive-breakpoints")?.value || "");
+      Object.keys(MEDIA_VARIANT_LABELS).forEach((name) =>
+        localStorage.setItem(`ca_mediaVariant_${name}`, String(!!document.getElementById(`media-variant-${name}`)?.checked))
+      );
+      localStorage.setItem("ca_lineageDepth", document.getElementById("lineage-depth")?.value || "3");
+      localStorage.setItem("ca_tokenLengthTolerance", document.getElementById("token-length-tolerance")?.value || "");
+      localStorage.setItem("ca_redactionConfig", JSON.stringify(readRedactionSettings()));
       showToast("Settings saved", "success");
       updateComponentTypesList();
     });
@@ -908,11 +1869,52 @@
       if (confirm("Reset settings?")) {
         localStorage.removeItem("ca_defaultAtomicLevel");
         localStorage.removeItem("ca_customComponentTypes");
+        localStorage.removeItem("ca_captureComputedStyle");
+        localStorage.removeItem("ca_capturePortableSnapshot");
+        localStorage.removeItem("ca_lineageDepth");
+        localStorage.removeItem("ca_captureStates");
+        localStorage.removeItem("ca_captureResponsive");
+        Object.keys(MEDIA_VARIANT_LABELS).forEach((name) => localStorage.removeItem(`ca_mediaVariant_${name}`));
+        localStorage.removeItem("ca_responsiveBreakpoints");
+        localStorage.removeItem("ca_tokenDictionary");
+        localStorage.removeItem("ca_tokenLengthTolerance");
+        localStorage.removeItem("ca_redactionConfig");
         loadSettings();
         updateComponentTypesList();
         showToast("Settings reset", "success");
       }
     });
+    // Enter in the tolerance field must not submit (and reload) the settings form
+    document.getElementById("settings-form")?.addEventListener("submit", (event) => event.preventDefault());
+    document.getElementById("token-dictionary-file")?.addEventListener("change", (event) => {
+      const file = event.target.files?.[0];
+      if (file) importTokenDictionary(file);
+      event.target.value = "";
+    });
+    document.getElementById("token-dictionary-clear-btn")?.addEventListener("click", () => {
+      localStorage.removeItem("ca_tokenDictionary");
+      loadSettings();
+      showToast("Token dictionary removed", "success");
+    });
+  }
+
+  /**
+   * Parse a DTCG or Style Dictionary file and store its tokens for matching
+   * @param {File} file - JSON file chosen in settings
+   */
+  function importTokenDictionary(file) {
+    file
+      .text()
+      .then((text) => {
+        const dictionary = window.ComponentAuditorTokens.parseDictionary(JSON.parse(text));
+        localStorage.setItem("ca_tokenDictionary", JSON.stringify({ fileName: file.name, ...dictionary }));
+        loadSettings();
+        showToast(`Imported ${dictionary.tokens.length} tokens`, "success");
+      })
+      .catch((error) => {
+        console.error("Panel: Token dictionary import failed", error);
+        showToast(`Token import failed: ${error.message}`, "error");
+      });
   }
 
   function loadSettings() {
@@ -920,6 +1922,86 @@
     const custom = localStorage.getItem("ca_customComponentTypes") || "";
     if (document.getElementById("default-atomic-level")) document.getElementById("default-atomic-level").value = def;
     if (document.getElementById("custom-component-types")) document.getElementById("custom-component-types").value = custom;
+    if (document.getElementById("capture-computed-style")) document.getElementById("capture-computed-style").checked = getCaptureOptions().computedStyle;
+    if (document.getElementById("capture-portable-snapshot")) document.getElementById("capture-portable-snapshot").checked = getCaptureOptions().portableSnapshot;
+    if (document.getElementById("capture-states")) document.getElementById("capture-states").checked = getCaptureOptions().states;
+    if (document.getElementById("capture-responsive")) document.getElementById("capture-responsive").checked = localStorage.getItem("ca_captureResponsive") === "true";
+    if (document.getElementById("responsive-breakpoints")) document.getElementById("responsive-breakpoints").value = localStorage.getItem("ca_responsiveBreakpoints") || "";
+    const mediaVariants = getCaptureOptions().mediaVariants;
+    Object.keys(MEDIA_VARIANT_LABELS).forEach((name) => {
+      const checkbox = document.getElementById(`media-variant-${name}`);
+      if (checkbox) checkbox.checked = mediaVariants.includes(name);
+    });
+    if (document.getElementById("lineage-depth")) document.getElementById("lineage-depth").value = String(getCaptureOptions().lineageDepth);
+    if (document.getElementById("token-length-tolerance")) document.getElementById("token-length-tolerance").value = localStorage.getItem("ca_tokenLengthTolerance") || "";
+
+    const redaction = window.ComponentAuditorRedaction.resolveConfig(loadRedactionConfig());
+    ["email", "phone", "card", "jwt"].forEach((type) => {
+      const checkbox = document.getElementById(`redact-${type}`);
+      if (checkbox) checkbox.checked = redaction.detectors[type];
+    });
+    if (document.getElementById("redact-values")) document.getElementById("redact-values").checked = redaction.stripValues;
+    if (document.getElementById("redact-scripts")) document.getElementById("redact-scripts").checked = redaction.stripScripts;
+    if (document.getElementById("redact-allowed-params")) document.getElementById("redact-allowed-params").value = redaction.allowedQueryParams.join("\n");
+
+    const dictionary = loadTokenDictionary();
+    const dictionaryStatus = document.getElementById("token-dictionary-status");
+    if (dictionaryStatus) {
+      dictionaryStatus.textContent = dictionary
+        ? `${dictionary.fileName}: ${dictionary.tokens.length} tokens (${dictionary.format === "dtcg" ? "W3C DTCG" : "Style Dictionary"})`
+        : "No dictionary loaded. Import a W3C Design Tokens (DTCG) or Style Dictionary JSON file.";
+    }
+  }
+
+  /**
+   * Read the redaction settings from the settings form
+   * @returns {Object} - Configuration for ComponentAuditorRedaction
+   */
+  function readRedactionSettings() {
+    const isChecked = (id) => !!document.getElementById(id)?.checked;
+    return {
+      detectors: {
+        email: isChecked("redact-email"),
+        phone: isChecked("redact-phone"),
+        card: isChecked("redact-card"),
+        jwt: isChecked("redact-jwt"),
+      },
+      stripValues: isChecked("redact-values"),
+      stripScripts: isChecked("redact-scripts"),
+      allowedQueryParams: (document.getElementById("redact-allowed-params")?.value || "")
+        .split(/[\n,]/)
+        .map((name) => name.trim())
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * Read the capture options the content script needs from settings
+   * @returns {Object} - Options sent with START_SELECTION and FIND_SIMILAR
+   */
+  function getCaptureOptions() {
+    return {
+      computedStyle: localStorage.getItem("ca_captureComputedStyle") === "true",
+      portableSnapshot: localStorage.getItem("ca_capturePortableSnapshot") === "true",
+      // 0 records every ancestor up to <body>
+      lineageDepth: parseInt(localStorage.getItem("ca_lineageDepth") ?? "3", 10) || 0,
+      states: localStorage.getItem("ca_captureStates") === "true",
+      breakpoints: getResponsiveBreakpoints(),
+      mediaVariants: Object.keys(MEDIA_VARIANT_LABELS).filter((name) => localStorage.getItem(`ca_mediaVariant_${name}`) === "true"),
+    };
+  }
+
+  /**
+   * Read the viewport widths for responsive capture from settings
+   * @returns {Array<number>} - Widths in px (empty when responsive capture is off)
+   */
+  function getResponsiveBreakpoints() {
+    if (localStorage.getItem("ca_captureResponsive") !== "true") return [];
+    const widths = (localStorage.getItem("ca_responsiveBreakpoints") || DEFAULT_BREAKPOINTS.join(","))
+      .split(/[\s,]+/)
+      .map((width) => parseInt(width, 10))
+      .filter((width) => width > 0);
+    return [...new Set(widths)].sort((a, b) => a - b);
   }
 
   function updateComponentTypesList() {
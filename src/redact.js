@@ -0,0 +1,420 @@
+/**
+ * Component Auditor - PII & Secret Redaction
+ *
+ * This module scrubs personal data and secrets out of a component record
+ * before it is stored: pattern detectors (emails, phone numbers, card numbers,
+ * JWTs) over captured HTML, the route, accessible names and component props, removal of form values and inline script bodies,
+ * and an allowlist for query parameters. Each run returns a report of what
+ * was removed so the editor can show it.
+ */
+
+(function() {
+  'use strict';
+
+  // Placeholder for query parameter values outside the allowlist
+  const REDACTED_PARAM = 'REDACTED';
+
+  // Default configuration (every detector on, a few harmless UI params allowed)
+  const DEFAULT_CONFIG = {
+    detectors: { jwt: true, email: true, card: true, phone: true },
+    stripValues: true,
+    stripScripts: true,
+    allowedQueryParams: ['page', 'sort', 'order', 'view', 'tab', 'lang', 'locale', 'theme']
+  };
+
+  // Pattern detectors, applied in this order so longer secrets win over the
+  // digit runs inside them
+  const DETECTORS = [
+    { type: 'jwt', pattern: /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g },
+    { type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi },
+    { type: 'card', pattern: /(?<![\w.])\d(?:[ -]?\d){12,18}(?![\w.])/g, validate: isCardNumber },
+    // Separators are required so bare ids and timestamps are not mistaken for numbers
+    { type: 'phone', pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?!\d)/g },
+    { type: 'phone', pattern: /(?<![\w+])\+\d{1,3}(?:[\s.-]\d{2,5}){2,5}(?!\d)/g }
+  ];
+
+  // Issuer prefixes (IIN ranges) and the card lengths each issues. Requiring one
+  // keeps Luhn-valid ids and millisecond timestamps from reading as card numbers.
+  const CARD_ISSUERS = [
+    { name: 'visa', prefix: /^4/, lengths: [13, 16, 19] },
+    { name: 'mastercard', prefix: /^(?:5[1-5]|2(?:2[2-9]|[3-6]\d|7[01])|2720)/, lengths: [16] },
+    { name: 'amex', prefix: /^3[47]/, lengths: [15] },
+    { name: 'discover', prefix: /^(?:6011|64[4-9]|65)/, lengths: [16, 17, 18, 19] },
+    { name: 'diners', prefix: /^(?:30[0-5]|3[689])/, lengths: [14, 15, 16, 17, 18, 19] },
+    { name: 'jcb', prefix: /^35(?:2[89]|[3-8]\d)/, lengths: [16, 17, 18, 19] },
+    { name: 'unionpay', prefix: /^62/, lengths: [16, 17, 18, 19] }
+  ];
+
+  // Attributes holding URLs whose query strings pass through the allowlist
+  const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'data'];
+
+  // Every record field that can hold page content, by path, with the redactor
+  // it goes through. A newly captured field carrying page text must be added
+  // here to be redacted.
+  const REDACTED_FIELDS = [
+    { path: ['code', 'html'], redactor: 'html' },
+    { path: ['code', 'portableHtml'], redactor: 'html' },
+    { path: ['code', 'siblings', 'previousSibling', 'html'], redactor: 'html' },
+    { path: ['code', 'siblings', 'nextSibling', 'html'], redactor: 'html' },
+    { path: ['code', 'lineage_html'], redactor: 'tags' },
+    { path: ['code', 'lineage'], redactor: 'lineage' },
+    { path: ['meta', 'route'], redactor: 'text' },
+    { path: ['meta', 'queryParams'], redactor: 'queryParams' },
+    { path: ['meta', 'componentIdentity', 'props'], redactor: 'value' },
+    // Accessible names, descriptions and landmark labels repeat visible text
+    { path: ['semantics', 'accessibility'], redactor: 'value' }
+  ];
+
+  /**
+   * Check a digit run for a known issuer prefix, that issuer's length and the Luhn checksum
+   * @param {string} match - Candidate card number (may contain spaces or dashes)
+   * @returns {boolean} - True if the digits form a valid card number
+   */
+  function isCardNumber(match) {
+    const digits = match.replace(/\D/g, '');
+    const issued = CARD_ISSUERS.some(function(issuer) {
+      return issuer.prefix.test(digits) && issuer.lengths.includes(digits.length);
+    });
+    return issued && isLuhnValid(digits);
+  }
+
+  /**
+   * Check a digit string against the Luhn checksum used by payment cards
+   * @param {string} digits - Digits only
+   * @returns {boolean} - True if the checksum holds
+   */
+  function isLuhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Merge a stored configuration over the defaults
+   * @param {Object} [config] - Partial configuration from settings
+   * @returns {Object} - Complete configuration
+   */
+  function resolveConfig(config) {
+    config = config || {};
+    return {
+      detectors: Object.assign({}, DEFAULT_CONFIG.detectors, config.detectors),
+      stripValues: config.stripValues !== undefined ? config.stripValues : DEFAULT_CONFIG.stripValues,
+      stripScripts: config.stripScripts !== undefined ? config.stripScripts : DEFAULT_CONFIG.stripScripts,
+      allowedQueryParams: (config.allowedQueryParams || DEFAULT_CONFIG.allowedQueryParams).map(function(name) {
+        return name.toLowerCase();
+      })
+    };
+  }
+
+  /**
+   * Replace detector matches in a piece of text
+   * @param {string} text - Text to scan
+   * @param {Object} config - Resolved configuration
+   * @param {Object} counts - Tally of redactions by type (updated in place)
+   * @returns {string} - Text with matches replaced by [REDACTED:type]
+   */
+  function redactText(text, config, counts) {
+    if (!text) return text;
+
+    return DETECTORS.reduce(function(result, detector) {
+      if (!config.detectors[detector.type]) return result;
+      return result.replace(detector.pattern, function(match) {
+        if (detector.validate && !detector.validate(match)) return match;
+        counts[detector.type] = (counts[detector.type] || 0) + 1;
+        return `[REDACTED:${detector.type}]`;
+      });
+    }, text);
+  }
+
+  /**
+   * Apply the pattern detectors to every string in a JSON-like value
+   * @param {*} value - String, array or plain object
+   * @param {Object} config - Resolved configuration
+   * @param {Object} counts - Tally of redactions by type (updated in place)
+   * @returns {*} - Copy of the value with matches replaced
+   */
+  function redactValue(value, config, counts) {
+    if (typeof value === 'string') return redactText(value, config, counts);
+    if (Array.isArray(value)) {
+      return value.map(function(item) { return redactValue(item, config, counts); });
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).forEach(function(key) {
+        result[key] = redactValue(value[key], config, counts);
+      });
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Redact query parameter values that are not on the allowlist
+   * @param {string} url - Absolute or relative URL
+   * @param {Object} config - Resolved configuration
+   * @param {Object} counts - Tally of redactions by type (updated in place)
+   * @returns {string} - URL with disallowed parameter values replaced
+   */
+  function redactUrl(url, config, counts) {
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) return url;
+
+    const hashStart = url.indexOf('#', queryStart);
+    const query = hashStart === -1 ? url.slice(queryStart + 1) : url.slice(queryStart + 1, hashStart);
+    const hash = hashStart === -1 ? '' : url.slice(hashStart);
+    const params = new URLSearchParams(query);
+    let changed = false;
+
+    params.forEach(function(value, key) {
+      if (!value || value === REDACTED_PARAM || config.allowedQueryParams.includes(key.toLowerCase())) return;
+      params.set(key, REDACTED_PARAM);
+      counts.queryParam = (counts.queryParam || 0) + 1;
+      changed = true;
+    });
+
+    return changed ? `${url.slice(0, queryStart)}?${params.toString()}${hash}` : url;
+  }
+
+  /**
+   * Redact an element's attributes, text and descendants in place
+   * @param {Node} node - Element, document fragment or text node
+   * @param {Object} config - Resolved configuration
+   * @param {Object} counts - Tally of redactions by type (updated in place)
+   */
+  function redactNode(node, config, counts) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      node.nodeValue = redactText(node.nodeValue, config, counts);
+      return;
+    }
+
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      const tagName = node.localName;
+
+      // Style sheets hold embedded images and selectors, not user data
+      if (tagName === 'style') return;
+
+      if (tagName === 'script') {
+        if (config.stripScripts && node.textContent.trim()) {
+          node.textContent = '';
+          counts.script = (counts.script || 0) + 1;
+        }
+        return;
+      }
+
+      if (tagName === 'textarea' && config.stripValues && node.textContent) {
+        node.textContent = '';
+        counts.value = (counts.value || 0) + 1;
+      }
+
+      Array.from(node.attributes).forEach(function(attribute) {
+        const name = attribute.name.toLowerCase();
+        if (name === 'value' && config.stripValues) {
+          node.removeAttribute(attribute.name);
+          counts.value = (counts.value || 0) + 1;
+          return;
+        }
+        if (name === 'style' || attribute.value.startsWith('data:')) return;
+
+        let value = attribute.value;
+        if (URL_ATTRIBUTES.includes(name)) {
+          value = redactUrl(value, config, counts);
+        }
+        value = redactText(value, config, counts);
+        if (value !== attribute.value) node.setAttribute(attribute.name, value);
+      });
+
+      // Declarative shadow roots keep their content in the template's fragment
+      if (tagName === 'template') {
+        redactNode(node.content, config, counts);
+      }
+    }
+
+    Array.from(node.childNodes).forEach(function(child) {
+      redactNode(child, config, counts);
+    });
+  }
+
+  /**
+   * Redact an HTML fragment or a complete document
+   * @param {string} html - Captured markup
+   * @param {Object} config - Resolved configuration
+   * @param {Object} counts - Tally of redactions by type (updated in place)
+   * @returns {string} - Redacted markup
+   */
+  function redactHtml(html, config, counts) {
+    if (!html) return html;
+
+    // Parsed into inert documents so nothing loads or runs
+    if (/^\s*<!doctype/i.test(html)) {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      redactNode(doc.documentElement, config, counts);
+      return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    redactNode(template.content, config, counts);
+    return template.innerHTML;
+  }
+
+  /**
+   * Redact serialized tags without parsing them
+   *
+   * Lineage markup is a summary of open tags that may start at <body> (which a
+   * template would drop), so the double-quoted attributes are rewritten in
+   * place: values are dropped, URL query strings go through the allowlist,
+   * and the pattern detectors run over the whole summary.
+   * @param {string} markup - Serialized tags from code.lineage_html or a lineage entry
+   * @param {Object} config - Resolved configuration
+   * @param {Object} counts - Tally of redactions by type (updated in place)
+   * @returns {string} - Redacted markup
+   */
+  function redactTags(markup, config, counts) {
+    const redacted = markup.replace(/(\s)([^\s"'>\/=]+)="([^"]*)"/g, function(match, space, name, value) {
+      const lowerName = name.toLowerCase();
+      if (lowerName === 'value' && config.stripValues) {
+        counts.value = (counts.value || 0) + 1;
+        return '';
+      }
+      if (!URL_ATTRIBUTES.includes(lowerName) || value.startsWith('data:')) return match;
+
+      const url = value.replace(/&amp;/g, '&');
+      const redactedUrl = redactUrl(url, config, counts);
+      return redactedUrl === url ? match : `${space}${name}="${redactedUrl.replace(/&/g, '&amp;')}"`;
+    });
+    return redactText(redacted, config, counts);
+  }
+
+  /**
+   * Read a nested value from an object
+   * @param {Object} object - Source object
+   * @param {Array<string>} path - Property names
+   * @returns {*} - The value, or undefined if any step is missing
+   */
+  function getPath(object, path) {
+    return path.reduce(function(value, key) {
+      return value ? value[key] : undefined;
+    }, object);
+  }
+
+  /**
+   * Write a nested value, copying each object on the way so the source is untouched
+   * @param {Object} object - Object to update (already a copy)
+   * @param {Array<string>} path - Property names
+   * @param {*} value - Value to store
+   */
+  function setPath(object, path, value) {
+    let target = object;
+    path.slice(0, -1).forEach(function(key) {
+      target[key] = Object.assign({}, target[key]);
+      target = target[key];
+    });
+    target[path[path.length - 1]] = value;
+  }
+
+  /**
+   * Redact the shallow HTML of each lineage entry
+   * @param {Array<Object>} lineage - Entries from code.lineage
+   * @param {Object} config - Resolved configuration
+   * @param {Object} counts - Tally of redactions by type (updated in place)
+   * @returns {Array<Object>} - Copy of the lineage with redacted html
+   */
+  function redactLineage(lineage, config, counts) {
+    if (!Array.isArray(lineage)) return lineage;
+    return lineage.map(function(entry) {
+      return entry && entry.html ? Object.assign({}, entry, { html: redactTags(entry.html, config, counts) }) : entry;
+    });
+  }
+
+  /**
+   * Replace query parameter values outside the allowlist; allowed values still
+   * go through the pattern detectors
+   * @param {Object} queryParams - Parameters from meta.queryParams
+   * @param {Object} config - Resolved configuration
+   * @param {Object} counts - Tally of redactions by type (updated in place)
+   * @returns {Object} - Redacted copy of the parameters
+   */
+  function redactQueryParams(queryParams, config, counts) {
+    const redactedParams = {};
+    Object.keys(queryParams).forEach(function(key) {
+      const value = queryParams[key];
+      if (value && value !== REDACTED_PARAM && !config.allowedQueryParams.includes(key.toLowerCase())) {
+        redactedParams[key] = REDACTED_PARAM;
+        counts.queryParam = (counts.queryParam || 0) + 1;
+      } else {
+        redactedParams[key] = typeof value === 'string' ? redactText(value, config, counts) : value;
+      }
+    });
+    return redactedParams;
+  }
+
+  /**
+   * Run the redaction pipeline over a component record
+   * @param {Object} record - Component record (or capture) with code and meta
+   * @param {Object} [config] - Redaction settings; defaults fill anything missing
+   * @returns {Object} - { record: redacted copy, report: { total, counts, fields } }
+   */
+  function redactRecord(record, config) {
+    const resolved = resolveConfig(config);
+    const result = Object.assign({}, record);
+    const counts = {};
+    const fields = [];
+
+    const tally = function(field, redact) {
+      const before = countTotal(counts);
+      redact();
+      const redacted = countTotal(counts) - before;
+      if (redacted) fields.push({ field: field, count: redacted });
+    };
+
+    const redactors = {
+      html: redactHtml,
+      tags: redactTags,
+      text: redactText,
+      value: redactValue,
+      lineage: redactLineage,
+      queryParams: redactQueryParams
+    };
+
+    REDACTED_FIELDS.forEach(function(field) {
+      const value = getPath(result, field.path);
+      if (!value) return;
+      tally(field.path.join('.'), function() {
+        setPath(result, field.path, redactors[field.redactor](value, resolved, counts));
+      });
+    });
+
+    return {
+      record: result,
+      report: { total: countTotal(counts), counts: counts, fields: fields }
+    };
+  }
+
+  /**
+   * Sum a tally of redactions
+   * @param {Object} counts - Redactions by type
+   * @returns {number} - Total redactions
+   */
+  function countTotal(counts) {
+    return Object.keys(counts).reduce(function(sum, type) {
+      return sum + counts[type];
+    }, 0);
+  }
+
+  // Export functions to global scope for use in panel.js
+  window.ComponentAuditorRedaction = {
+    DEFAULT_CONFIG: DEFAULT_CONFIG,
+    resolveConfig: resolveConfig,
+    redactText: redactText,
+    redactUrl: redactUrl,
+    redactHtml: redactHtml,
+    redactRecord: redactRecord
+  };
+})();
@@ -0,0 +1,690 @@
+/**
+ * Component Auditor - Design Token Dictionary & Color Math
+ *
+ * This module parses design system token files (W3C Design Tokens / DTCG and
+ * Style Dictionary JSON) and matches captured token values to their nearest
+ * dictionary token, so captures carry a design-system compliance signal.
+ * It also provides the color conversions and WCAG contrast math shared by the
+ * content script and the panel.
+ */
+
+(function() {
+  'use strict';
+
+  // Largest ΔE2000 still considered the same color (about one just-noticeable difference)
+  const COLOR_MATCH_THRESHOLD = 2.3;
+
+  // Default tolerance for length matches (px)
+  const DEFAULT_LENGTH_TOLERANCE = 1;
+
+  // Root font size assumed when converting rem/em token values (px)
+  const ROOT_FONT_SIZE = 16;
+
+  // Alias references can chain; stop following them after this many hops
+  const MAX_ALIAS_DEPTH = 10;
+
+  // WCAG 2.x minimum contrast ratios (large text: >= 24px, or >= 18.66px bold)
+  const WCAG_THRESHOLDS = {
+    normal: { AA: 4.5, AAA: 7 },
+    large: { AA: 3, AAA: 4.5 }
+  };
+
+  // What 100% means for each channel of the modern color functions (hue takes no percentage)
+  const PERCENT_REFERENCES = {
+    oklab: [1, 0.4, 0.4],
+    oklch: [1, 0.4, 1],
+    lab: [100, 125, 125],
+    lch: [100, 150, 1]
+  };
+
+  // Linear-light RGB to XYZ (D65) matrices for the color() spaces Chrome reports
+  const RGB_TO_XYZ = {
+    'display-p3': [
+      [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+      [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+      [0, 0.04511338185890264, 1.043944368900976]
+    ],
+    rec2020: [
+      [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+      [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+      [0, 0.028072693049087428, 1.060985057710791]
+    ]
+  };
+
+  // XYZ (D65) to linear-light sRGB
+  const XYZ_TO_LINEAR_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+  ];
+
+  // Bradford adaptation from the D50 white point (Lab, xyz-d50) to D65
+  const D50_TO_D65 = [
+    [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+    [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+    [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+  ];
+
+  // D50 reference white (XYZ)
+  const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+  // Name fragments that place a length token in a category
+  const LENGTH_CATEGORIES = [
+    { category: 'fontSize', pattern: /font|text|type/i },
+    { category: 'radius', pattern: /radius|radii|rounded|corner/i },
+    { category: 'spacing', pattern: /space|spacing|gap|inset|padding|margin|gutter/i }
+  ];
+
+  /**
+   * Parse a DTCG or Style Dictionary JSON document into a flat token list
+   * @param {Object} json - Parsed token file
+   * @returns {Object} - Dictionary with format and tokens ({name, type, category, value, rgba, px})
+   */
+  function parseDictionary(json) {
+    if (!json || typeof json !== 'object') {
+      throw new Error('Token file must contain a JSON object');
+    }
+
+    const format = containsKey(json, '$value') ? 'dtcg' : 'style-dictionary';
+    const valueKey = format === 'dtcg' ? '$value' : 'value';
+    const raw = [];
+
+    (function walk(node, path, inheritedType) {
+      const type = node.$type || inheritedType;
+      if (Object.prototype.hasOwnProperty.call(node, valueKey)) {
+        raw.push({
+          name: path.join('.'),
+          type: format === 'dtcg' ? type : node.type || (node.attributes && node.attributes.category),
+          value: node[valueKey]
+        });
+        return;
+      }
+      Object.keys(node).forEach(function(key) {
+        if (key.startsWith('$') || !node[key] || typeof node[key] !== 'object') return;
+        walk(node[key], path.concat(key), type);
+      });
+    })(json, [], undefined);
+
+    const byName = new Map(raw.map(function(token) { return [token.name, token]; }));
+    const tokens = [];
+
+    raw.forEach(function(token) {
+      const value = resolveAlias(token.value, byName, 0);
+      const rgba = parseColor(value);
+      const px = rgba ? null : parseLength(value);
+
+      if (rgba) {
+        tokens.push({ name: token.name, type: 'color', category: 'color', value: formatValue(value), rgba: rgba });
+      } else if (px !== null) {
+        tokens.push({ name: token.name, type: 'dimension', category: categorizeLength(token), value: formatValue(value), px: px });
+      }
+    });
+
+    if (tokens.length === 0) {
+      throw new Error('No color or dimension tokens found');
+    }
+
+    return { format: format, tokens: tokens };
+  }
+
+  /**
+   * Check whether any object in a JSON tree has the given key
+   */
+  function containsKey(node, key) {
+    if (!node || typeof node !== 'object') return false;
+    if (Object.prototype.hasOwnProperty.call(node, key)) return true;
+    return Object.keys(node).some(function(child) { return containsKey(node[child], key); });
+  }
+
+  /**
+   * Follow "{group.token}" alias references to a concrete value
+   */
+  function resolveAlias(value, byName, depth) {
+    const match = typeof value === 'string' && value.match(/^\{([^}]+)\}$/);
+    if (!match || depth >= MAX_ALIAS_DEPTH) return value;
+    const target = byName.get(match[1]) || byName.get(match[1].replace(/\.value$/, ''));
+    return target ? resolveAlias(target.value, byName, depth + 1) : value;
+  }
+
+  /**
+   * Render a token value for display (DTCG object values are summarized)
+   */
+  function formatValue(value) {
+    if (value && typeof value === 'object') {
+      if (value.hex) return value.hex;
+      if (value.unit !== undefined) return `${value.value}${value.unit}`;
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Pick the category of a length token from its type and name
+   */
+  function categorizeLength(token) {
+    const hint = `${token.type || ''} ${token.name}`;
+    const entry = LENGTH_CATEGORIES.find(function(candidate) { return candidate.pattern.test(hint); });
+    return entry ? entry.category : 'dimension';
+  }
+
+  /**
+   * Parse a CSS color (hex, rgb(), hsl(), oklch(), oklab(), lab(), lch(), color() or a
+   * DTCG color object) into RGBA; colors outside sRGB are clipped to its gamut
+   * @param {string|Object} value - Color value
+   * @returns {Array<number>|null} - [r, g, b, a] with channels 0-255 and alpha 0-1, or null
+   */
+  function parseColor(value) {
+    if (value && typeof value === 'object') {
+      if (value.hex) return parseColor(value.hex);
+      if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+        return value.components.map(function(c) { return c * 255; }).concat(value.alpha === undefined ? 1 : value.alpha);
+      }
+      return null;
+    }
+    if (typeof value !== 'string') return null;
+
+    const color = value.trim().toLowerCase();
+    let match = color.match(/^#([0-9a-f]{3,8})$/);
+    if (match && [3, 4, 6, 8].includes(match[1].length)) {
+      let hex = match[1];
+      if (hex.length <= 4) hex = hex.split('').map(function(c) { return c + c; }).join('');
+      const channels = hex.match(/../g).map(function(pair) { return parseInt(pair, 16); });
+      return [channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1];
+    }
+
+    match = color.match(/^(oklch|oklab|lch|lab|color)\(([^)]+)\)$/);
+    if (match) return parseModernColor(match[1], match[2]);
+
+    match = color.match(/^(rgba?|hsla?)\(([^)]+)\)$/);
+    if (!match) return null;
+
+    const parts = match[2].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const alpha = parts[3] === undefined ? 1 : parseAlpha(parts[3]);
+
+    if (match[1].startsWith('rgb')) {
+      const channels = parts.slice(0, 3).map(function(part) {
+        return part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part);
+      });
+      return channels.some(isNaN) ? null : channels.concat(alpha);
+    }
+
+    const h = parseFloat(parts[0]);
+    const s = parseFloat(parts[1]) / 100;
+    const l = parseFloat(parts[2]) / 100;
+    if ([h, s, l].some(isNaN)) return null;
+    return hslToRgb(h, s, l).concat(alpha);
+  }
+
+  /**
+   * Parse the arguments of oklch(), oklab(), lab(), lch() or color() into sRGB
+   * @param {string} name - Function name
+   * @param {string} body - Arguments ("0.62 0.19 259.8 / 0.5", "display-p3 1 0 0")
+   * @returns {Array<number>|null} - [r, g, b, a], or null for unsupported color spaces
+   */
+  function parseModernColor(name, body) {
+    const sections = body.split('/');
+    const parts = sections[0].trim().split(/[\s,]+/).filter(Boolean);
+    const space = name === 'color' ? parts.shift() : name;
+    const alphaPart = sections[1] === undefined ? '1' : sections[1].trim();
+    const alpha = alphaPart === 'none' ? 0 : parseAlpha(alphaPart);
+    if (parts.length !== 3 || isNaN(alpha)) return null;
+
+    const references = PERCENT_REFERENCES[space] || [1, 1, 1];
+    const values = parts.map(function(part, index) {
+      if (part === 'none') return 0;
+      return part.endsWith('%') ? parseFloat(part) / 100 * references[index] : parseFloat(part);
+    });
+    if (values.some(isNaN)) return null;
+
+    const linear = toLinearSrgb(space, values);
+    if (!linear) return null;
+    return linear.map(function(channel) {
+      return fromLinear(Math.min(1, Math.max(0, channel))) * 255;
+    }).concat(Math.min(1, Math.max(0, alpha)));
+  }
+
+  /**
+   * Convert color channels in a CSS color space to linear-light sRGB (0-1, unclipped)
+   * @returns {Array<number>|null} - Linear RGB, or null if the space is not supported
+   */
+  function toLinearSrgb(space, values) {
+    const hueToAxes = function(chroma, hue) {
+      const radians = hue * Math.PI / 180;
+      return [chroma * Math.cos(radians), chroma * Math.sin(radians)];
+    };
+
+    switch (space) {
+      case 'oklch':
+        return toLinearSrgb('oklab', [values[0]].concat(hueToAxes(values[1], values[2])));
+      case 'oklab': {
+        const l = Math.pow(values[0] + 0.3963377774 * values[1] + 0.2158037573 * values[2], 3);
+        const m = Math.pow(values[0] - 0.1055613458 * values[1] - 0.0638541728 * values[2], 3);
+        const s = Math.pow(values[0] - 0.0894841775 * values[1] - 1.2914855480 * values[2], 3);
+        return [
+          4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+          -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+          -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ];
+      }
+      case 'lch':
+        return toLinearSrgb('lab', [values[0]].concat(hueToAxes(values[1], values[2])));
+      case 'lab': {
+        const fy = (values[0] + 16) / 116;
+        const fx = fy + values[1] / 500;
+        const fz = fy - values[2] / 200;
+        const inverse = function(t) { return t > 6 / 29 ? t * t * t : (116 * t - 16) * 27 / 24389; };
+        return toLinearSrgb('xyz-d50', [inverse(fx), inverse(fy), inverse(fz)].map(function(channel, index) {
+          return channel * D50_WHITE[index];
+        }));
+      }
+      case 'srgb':
+        return values.map(function(channel) { return toLinear(channel * 255); });
+      case 'srgb-linear':
+        return values;
+      case 'display-p3':
+        return multiplyMatrix(XYZ_TO_LINEAR_SRGB, multiplyMatrix(RGB_TO_XYZ['display-p3'], values.map(function(channel) {
+          return Math.sign(channel) * toLinear(Math.abs(channel) * 255);
+        })));
+      case 'rec2020':
+        return multiplyMatrix(XYZ_TO_LINEAR_SRGB, multiplyMatrix(RGB_TO_XYZ.rec2020, values.map(function(channel) {
+          const alpha = 1.09929682680944;
+          const beta = 0.018053968510807;
+          const magnitude = Math.abs(channel);
+          return Math.sign(channel) * (magnitude < beta * 4.5 ? magnitude / 4.5 : Math.pow((magnitude + alpha - 1) / alpha, 1 / 0.45));
+        })));
+      case 'xyz':
+      case 'xyz-d65':
+        return multiplyMatrix(XYZ_TO_LINEAR_SRGB, values);
+      case 'xyz-d50':
+        return multiplyMatrix(XYZ_TO_LINEAR_SRGB, multiplyMatrix(D50_TO_D65, values));
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Multiply a 3x3 matrix by a 3-component vector
+   */
+  function multiplyMatrix(matrix, vector) {
+    return matrix.map(function(row) {
+      return row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2];
+    });
+  }
+
+  /**
+   * Convert one linear-light channel (0-1) to sRGB gamma encoding (0-1)
+   */
+  function fromLinear(channel) {
+    return channel <= 0.0031308 ? channel * 12.92 : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+  }
+
+  /**
+   * Parse an alpha component ("0.5" or "50%")
+   */
+  function parseAlpha(part) {
+    return part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part);
+  }
+
+  /**
+   * Convert HSL (hue in degrees, saturation and lightness 0-1) to RGB channels 0-255
+   */
+  function hslToRgb(h, s, l) {
+    const k = function(n) { return (n + h / 30) % 12; };
+    const a = s * Math.min(l, 1 - l);
+    const f = function(n) { return l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1))); };
+    return [f(0) * 255, f(8) * 255, f(4) * 255];
+  }
+
+  /**
+   * Normalize a CSS color to hex, HSL and OKLCH with the alpha channel split out
+   * @param {string} value - CSS color (e.g. "rgba(26, 115, 232, 0.5)")
+   * @returns {Object|null} - {hex, hsl, oklch, alpha}, or null if the color cannot be parsed
+   */
+  function normalizeColor(value) {
+    const rgba = parseColor(value);
+    if (!rgba) return null;
+
+    const channels = rgba.slice(0, 3).map(function(channel) {
+      return Math.min(255, Math.max(0, Math.round(channel)));
+    });
+    const hex = '#' + channels.map(function(channel) { return channel.toString(16).padStart(2, '0'); }).join('');
+    const hsl = rgbToHsl(channels);
+    const oklch = rgbToOklch(channels);
+
+    return {
+      hex: hex,
+      hsl: `hsl(${round(hsl[0], 1)} ${round(hsl[1], 1)}% ${round(hsl[2], 1)}%)`,
+      oklch: `oklch(${round(oklch[0], 4)} ${round(oklch[1], 4)} ${round(oklch[2], 2)})`,
+      alpha: round(rgba[3], 3)
+    };
+  }
+
+  /**
+   * Round to a number of decimal places
+   */
+  function round(number, places) {
+    const factor = Math.pow(10, places);
+    return Math.round(number * factor) / factor;
+  }
+
+  /**
+   * Convert RGB channels (0-255) to HSL (hue in degrees, saturation and lightness in %)
+   */
+  function rgbToHsl(rgb) {
+    const r = rgb[0] / 255;
+    const g = rgb[1] / 255;
+    const b = rgb[2] / 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (d === 0) return [0, 0, l * 100];
+
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h *= 60;
+    return [h < 0 ? h + 360 : h, s * 100, l * 100];
+  }
+
+  /**
+   * Convert sRGB channels (0-255) to OKLCH (lightness 0-1, chroma, hue in degrees)
+   */
+  function rgbToOklch(rgb) {
+    const linear = rgb.map(toLinear);
+    const l = Math.cbrt(0.4122214708 * linear[0] + 0.5363325363 * linear[1] + 0.0514459929 * linear[2]);
+    const m = Math.cbrt(0.2119034982 * linear[0] + 0.6806995451 * linear[1] + 0.1073969566 * linear[2]);
+    const s = Math.cbrt(0.0883024619 * linear[0] + 0.2817188376 * linear[1] + 0.6299787005 * linear[2]);
+
+    const lightness = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+    const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+    const b = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+    const chroma = Math.hypot(a, b);
+    // Hue is meaningless for achromatic colors
+    let hue = chroma < 0.0001 ? 0 : Math.atan2(b, a) * 180 / Math.PI;
+    if (hue < 0) hue += 360;
+    return [lightness, chroma, hue];
+  }
+
+  /**
+   * Convert one sRGB channel (0-255) to linear light (0-1)
+   */
+  function toLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * Composite a (possibly translucent) color over an opaque one
+   * @param {Array<number>} top - [r, g, b, a] color on top
+   * @param {Array<number>} bottom - [r, g, b] opaque color underneath
+   * @returns {Array<number>} - Resulting opaque [r, g, b]
+   */
+  function blendColors(top, bottom) {
+    const alpha = top[3] === undefined ? 1 : top[3];
+    return [0, 1, 2].map(function(i) { return top[i] * alpha + bottom[i] * (1 - alpha); });
+  }
+
+  /**
+   * Composite one color over another where both may be translucent (source-over)
+   * @param {Array<number>} top - [r, g, b, a] color on top
+   * @param {Array<number>} bottom - [r, g, b, a] color underneath
+   * @returns {Array<number>} - Resulting [r, g, b, a]
+   */
+  function compositeColors(top, bottom) {
+    const topAlpha = top[3] === undefined ? 1 : top[3];
+    const bottomAlpha = bottom[3] === undefined ? 1 : bottom[3];
+    const alpha = topAlpha + bottomAlpha * (1 - topAlpha);
+    if (alpha === 0) return [0, 0, 0, 0];
+    return [0, 1, 2].map(function(i) {
+      return (top[i] * topAlpha + bottom[i] * bottomAlpha * (1 - topAlpha)) / alpha;
+    }).concat(alpha);
+  }
+
+  /**
+   * WCAG contrast ratio between two opaque colors
+   * @param {Array<number>} rgb1 - First color channels (0-255)
+   * @param {Array<number>} rgb2 - Second color channels (0-255)
+   * @returns {number} - Ratio from 1 to 21
+   */
+  function contrastRatio(rgb1, rgb2) {
+    const luminance = function(rgb) {
+      const linear = rgb.slice(0, 3).map(toLinear);
+      return 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+    };
+    const l1 = luminance(rgb1);
+    const l2 = luminance(rgb2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  }
+
+  /**
+   * Grade a contrast ratio against WCAG AA and AAA for the given text size
+   * @param {number} ratio - Contrast ratio
+   * @param {boolean} largeText - Whether the text counts as large
+   * @returns {Object} - {AA, AAA} pass flags
+   */
+  function gradeContrast(ratio, largeText) {
+    const thresholds = WCAG_THRESHOLDS[largeText ? 'large' : 'normal'];
+    return { AA: ratio >= thresholds.AA, AAA: ratio >= thresholds.AAA };
+  }
+
+  /**
+   * Parse a length (px, rem, em, or a DTCG dimension object) into pixels
+   * @param {string|number|Object} value - Length value
+   * @returns {number|null} - Pixels, or null if the value is not a length
+   */
+  function parseLength(value) {
+    if (value && typeof value === 'object' && value.unit !== undefined) {
+      return parseLength(`${value.value}${value.unit}`);
+    }
+    if (value === 0 || value === '0') return 0;
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(-?\d*\.?\d+)(px|rem|em)$/i);
+    if (!match) return null;
+    const number = parseFloat(match[1]);
+    return match[2].toLowerCase() === 'px' ? number : number * ROOT_FONT_SIZE;
+  }
+
+  /**
+   * Convert sRGB channels (0-255) to CIE Lab (D65)
+   */
+  function rgbToLab(rgb) {
+    const linear = rgb.slice(0, 3).map(toLinear);
+    const x = (linear[0] * 0.4124 + linear[1] * 0.3576 + linear[2] * 0.1805) / 0.95047;
+    const y = linear[0] * 0.2126 + linear[1] * 0.7152 + linear[2] * 0.0722;
+    const z = (linear[0] * 0.0193 + linear[1] * 0.1192 + linear[2] * 0.9505) / 1.08883;
+    const f = function(t) { return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116; };
+    return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+  }
+
+  /**
+   * Perceptual color difference (CIEDE2000) between two RGB colors
+   * @param {Array<number>} rgb1 - First color channels (0-255)
+   * @param {Array<number>} rgb2 - Second color channels (0-255)
+   * @returns {number} - ΔE2000 (0 = identical, ~2.3 = just noticeable)
+   */
+  function deltaE2000(rgb1, rgb2) {
+    const lab1 = rgbToLab(rgb1);
+    const lab2 = rgbToLab(rgb2);
+    const rad = Math.PI / 180;
+
+    const c1 = Math.hypot(lab1[1], lab1[2]);
+    const c2 = Math.hypot(lab2[1], lab2[2]);
+    const cBar7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+
+    const a1 = lab1[1] * (1 + g);
+    const a2 = lab2[1] * (1 + g);
+    const cp1 = Math.hypot(a1, lab1[2]);
+    const cp2 = Math.hypot(a2, lab2[2]);
+    const hue = function(b, a) {
+      if (a === 0 && b === 0) return 0;
+      const h = Math.atan2(b, a) / rad;
+      return h < 0 ? h + 360 : h;
+    };
+    const hp1 = hue(lab1[2], a1);
+    const hp2 = hue(lab2[2], a2);
+
+    const dL = lab2[0] - lab1[0];
+    const dC = cp2 - cp1;
+    let dh = 0;
+    if (cp1 * cp2 !== 0) {
+      dh = hp2 - hp1;
+      if (dh > 180) dh -= 360;
+      else if (dh < -180) dh += 360;
+    }
+    const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin((dh / 2) * rad);
+
+    const lBar = (lab1[0] + lab2[0]) / 2;
+    const cBar = (cp1 + cp2) / 2;
+    let hBar = hp1 + hp2;
+    if (cp1 * cp2 !== 0) {
+      if (Math.abs(hp1 - hp2) > 180) hBar += hp1 + hp2 < 360 ? 360 : -360;
+      hBar /= 2;
+    }
+
+    const t = 1 - 0.17 * Math.cos((hBar - 30) * rad) + 0.24 * Math.cos(2 * hBar * rad) +
+      0.32 * Math.cos((3 * hBar + 6) * rad) - 0.2 * Math.cos((4 * hBar - 63) * rad);
+    const sl = 1 + (0.015 * Math.pow(lBar - 50, 2)) / Math.sqrt(20 + Math.pow(lBar - 50, 2));
+    const sc = 1 + 0.045 * cBar;
+    const sh = 1 + 0.015 * cBar * t;
+    const cBarP7 = Math.pow(cBar, 7);
+    const rt = -2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7))) *
+      Math.sin(60 * Math.exp(-Math.pow((hBar - 275) / 25, 2)) * rad);
+
+    return Math.sqrt(
+      Math.pow(dL / sl, 2) + Math.pow(dC / sc, 2) + Math.pow(dH / sh, 2) + rt * (dC / sc) * (dH / sh)
+    );
+  }
+
+  /**
+   * Find the dictionary token nearest to a captured value
+   * @param {string} value - Captured CSS value (computed color or length)
+   * @param {string} kind - 'color', 'fontSize', 'spacing' or 'radius'
+   * @param {Object} dictionary - Parsed dictionary
+   * @param {number} tolerance - Length tolerance in px
+   * @returns {Object|null} - {tokenRef, nearest, distance}; tokenRef is null when off-system
+   */
+  function findNearestToken(value, kind, dictionary, tolerance) {
+    let candidates;
+    let distance;
+    let threshold;
+
+    if (kind === 'color') {
+      const rgba = parseColor(value);
+      if (!rgba) return null;
+      candidates = dictionary.tokens.filter(function(token) { return token.type === 'color'; });
+      // Alpha differences count as perceptual distance on top of ΔE2000
+      distance = function(token) { return deltaE2000(rgba, token.rgba) + Math.abs(rgba[3] - token.rgba[3]) * 100; };
+      threshold = COLOR_MATCH_THRESHOLD;
+    } else {
+      const px = parseLength(value);
+      if (px === null) return null;
+      const lengths = dictionary.tokens.filter(function(token) { return token.type === 'dimension'; });
+      // Uncategorized dimension tokens stand in when the dictionary has none of this kind
+      const categorized = lengths.filter(function(token) { return token.category === kind; });
+      candidates = categorized.length ? categorized : lengths.filter(function(token) { return token.category === 'dimension'; });
+      distance = function(token) { return Math.abs(px - token.px); };
+      threshold = tolerance;
+    }
+
+    let best = null;
+    candidates.forEach(function(token) {
+      const d = distance(token);
+      if (!best || d < best.distance) best = { token: token, distance: d };
+    });
+    if (!best) return null;
+
+    const rounded = Math.round(best.distance * 100) / 100;
+    return {
+      tokenRef: best.distance <= threshold ? best.token.name : null,
+      nearest: best.token.name,
+      distance: rounded
+    };
+  }
+
+  /**
+   * Match a capture's colors, font sizes, spacing and radii against the dictionary
+   *
+   * Root-level color and font tokens and subtree token entries gain a tokenRef
+   * (null when off-system); every root-level comparison is listed in tokenMatches.
+   * @param {Object} code - Captured code block (tokens, subtreeTokens)
+   * @param {Object} dictionary - Parsed dictionary
+   * @param {number} tolerance - Length tolerance in px
+   * @returns {Object} - Code block with tokenRef annotations and a tokenMatches summary
+   */
+  function matchCode(code, dictionary, tolerance) {
+    if (tolerance === undefined || tolerance === null || isNaN(tolerance)) {
+      tolerance = DEFAULT_LENGTH_TOLERANCE;
+    }
+    const tokens = code.tokens || {};
+    const entries = [];
+
+    function match(property, value, kind) {
+      const result = findNearestToken(value, kind, dictionary, tolerance);
+      if (result) entries.push(Object.assign({ property: property, value: value }, result));
+      return result;
+    }
+
+    function annotate(token, result) {
+      return result ? Object.assign({}, token, { tokenRef: result.tokenRef, tokenDistance: result.distance }) : token;
+    }
+
+    const colors = (tokens.colors || []).map(function(token) {
+      return annotate(token, match(token.type, token.value, 'color'));
+    });
+    const fonts = (tokens.fonts || []).map(function(token) {
+      return token.type === 'font-size' ? annotate(token, match(token.type, token.value, 'fontSize')) : token;
+    });
+    ['padding', 'margin'].forEach(function(box) {
+      const sides = (tokens.spacing && tokens.spacing[box]) || {};
+      Object.keys(sides).forEach(function(side) {
+        if (sides[side] !== '0px') match(`${box}-${side}`, sides[side], 'spacing');
+      });
+    });
+    if (tokens.border && tokens.border.radius) {
+      match('border-radius', tokens.border.radius, 'radius');
+    }
+
+    const result = Object.assign({}, code, {
+      tokens: Object.assign({}, tokens, { colors: colors, fonts: fonts }),
+      tokenMatches: {
+        matched: entries.filter(function(entry) { return entry.tokenRef; }).length,
+        offSystem: entries.filter(function(entry) { return !entry.tokenRef; }).length,
+        entries: entries
+      }
+    });
+
+    if (code.subtreeTokens) {
+      const kinds = { colors: 'color', fontSizes: 'fontSize', spacing: 'spacing', radii: 'radius' };
+      result.subtreeTokens = Object.assign({}, code.subtreeTokens);
+      Object.keys(kinds).forEach(function(category) {
+        if (!code.subtreeTokens[category]) return;
+        result.subtreeTokens[category] = code.subtreeTokens[category].map(function(entry) {
+          return annotate(entry, findNearestToken(entry.value, kinds[category], dictionary, tolerance));
+        });
+      });
+    }
+
+    return result;
+  }
+
+  // Export functions to global scope for use in panel.js and content.js
+  window.ComponentAuditorTokens = {
+    parseDictionary: parseDictionary,
+    parseColor: parseColor,
+    parseLength: parseLength,
+    deltaE2000: deltaE2000,
+    findNearestToken: findNearestToken,
+    matchCode: matchCode,
+    normalizeColor: normalizeColor,
+    blendColors: blendColors,
+    compositeColors: compositeColors,
+    contrastRatio: contrastRatio,
+    gradeContrast: gradeContrast
+  };
+})();